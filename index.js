@@ -22,6 +22,10 @@ const plugin = {
       api.on("before_message_write", runtime.beforeMessageWrite);
       api.on("message_sending", runtime.messageSending);
       api.on("message_received", runtime.messageReceived);
+      runtime.startTaskSweeper();
+      if (pluginConfig.teamroom.historyTool.enabled && typeof api.registerTool === "function") {
+        api.registerTool((ctx) => runtime.createHistoryTool(ctx), { name: "teamroom_history" });
+      }
     }
     if (pluginConfig.command.enabled) {
       api.registerCommand({
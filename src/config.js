@@ -1,4 +1,5 @@
-import { asArray, asObject, asString, clampInt, uniqueStrings } from "./utils.js";
+import { asArray, asObject, asString, clampInt, parseDuration, uniqueStrings } from "./utils.js";
+import { normalizeReviewPolicy, normalizeWipPolicy, normalizeWorkflow } from "./workflow.js";
 
 const DEFAULT_IDENTITY = {
   enabled: true,
@@ -22,6 +23,14 @@ const DEFAULT_TEAMROOM = {
     ttlSeconds: 900,
     seedMode: "all-members-on-external"
   },
+  historyTool: {
+    enabled: true,
+    maxLimit: 50
+  },
+  contextBudget: {
+    maxTokens: 8000,
+    agents: {}
+  },
   rooms: []
 };
 
@@ -29,6 +38,8 @@ const DEFAULT_ROOM = {
   enabled: true,
   memberAgents: [],
   agentAccounts: {},
+  agentLabels: {},
+  taskTemplates: {},
   forwardMode: "mentions-or-all",
   includeSourceAgent: false,
   syncAgentMessages: true,
@@ -49,6 +60,47 @@ const DEFAULT_ROOM = {
       command: "openclaw",
       timeoutSeconds: 120,
       dryRun: false
+    },
+    review: {
+      enabled: false,
+      reviewerAgentId: "",
+      notify: true
+    },
+    priority: {
+      lowPriority: "p3",
+      maxLowPriorityTasks: 3
+    },
+    claim: {
+      enabled: false,
+      leaseSeconds: 1800
+    },
+    feedback: {
+      enabled: true,
+      postToRoom: false,
+      maxItems: 5
+    },
+    boardMessage: {
+      enabled: false,
+      throttleSeconds: 60,
+      pin: true,
+      dryRun: false
+    },
+    contextSummary: {
+      enabled: false,
+      summaryAgentId: "",
+      maxChars: 1500
+    },
+    wip: {
+      maxPerAgent: 0,
+      agents: {},
+      statuses: ["ack", "in_progress"]
+    },
+    sla: {
+      enabled: false,
+      staleSeconds: 7200,
+      sweepIntervalSeconds: 300,
+      remindCooldownSeconds: 3600,
+      dryRun: false
     }
   },
   maxTurnsPerCycle: 3,
@@ -131,6 +183,70 @@ function normalizeIdentityConfig(rawIdentity, cfg) {
   };
 }
 
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+function templateLabels(value) {
+  const list = Array.isArray(value) ? value : asString(value).split(",");
+  return uniqueStrings(list.map((label) => asString(label).replace(/^#/, "").toLowerCase()));
+}
+
+/**
+ * Validate one template (or subtask) entry: assignees must be room members,
+ * priority p0-p3 and due a duration offset. Invalid fields are dropped and
+ * described in `errors`.
+ */
+function normalizeTemplateEntry(rawEntry, memberAgents, where, errors) {
+  const raw = asObject(rawEntry);
+  const assignees = [];
+  for (const agentId of uniqueStrings(asArray(raw.assign))) {
+    if (memberAgents.includes(agentId)) assignees.push(agentId);
+    else errors.push(`${where}: assignee "${agentId}" is not a room member`);
+  }
+  let priority = asString(raw.priority).toLowerCase();
+  if (priority && !/^p[0-3]$/.test(priority)) {
+    errors.push(`${where}: invalid priority "${priority}"`);
+    priority = "";
+  }
+  let dueMs = 0;
+  if (raw.due != null && raw.due !== "") {
+    dueMs = parseDuration(raw.due) || 0;
+    if (!dueMs) errors.push(`${where}: invalid due offset "${asString(raw.due)}" (use 30m|4h|2d)`);
+  }
+  return { summary: asString(raw.summary), assignees, labels: templateLabels(raw.labels), priority, dueMs };
+}
+
+/**
+ * Validate a room's `taskTemplates` map. Templates without a summary are
+ * dropped; subtasks get ids `<taskId>.<id>` (default: their 1-based index).
+ */
+function normalizeTaskTemplates(rawTemplates, memberAgents) {
+  const templates = {};
+  const errors = [];
+  for (const [nameRaw, rawTemplate] of Object.entries(asObject(rawTemplates))) {
+    const name = asString(nameRaw).toLowerCase();
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      errors.push(`invalid template name "${nameRaw}"`);
+      continue;
+    }
+    const template = normalizeTemplateEntry(rawTemplate, memberAgents, `template ${name}`, errors);
+    if (!template.summary) {
+      errors.push(`template ${name}: summary is required`);
+      continue;
+    }
+    const subtasks = [];
+    asArray(asObject(rawTemplate).subtasks).forEach((rawSubtask, index) => {
+      const key = asString(asObject(rawSubtask).id) || String(index + 1);
+      const where = `template ${name} subtask ${key}`;
+      const subtask = normalizeTemplateEntry(rawSubtask, memberAgents, where, errors);
+      if (!subtask.summary) errors.push(`${where}: summary is required`);
+      else if (/\s/.test(key) || subtasks.some((s) => s.key === key)) errors.push(`${where}: invalid or duplicate id`);
+      else subtasks.push({ key, ...subtask });
+    });
+    templates[name] = { name, ...template, subtasks };
+  }
+  return { templates, errors };
+}
+
 function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
   const merged = {
     ...DEFAULT_ROOM,
@@ -141,6 +257,30 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
       taskMemory: {
         ...DEFAULT_ROOM.protocol.taskMemory,
         ...asObject(asObject(asObject(rawRoom).protocol).taskMemory)
+      },
+      sla: {
+        ...DEFAULT_ROOM.protocol.sla,
+        ...asObject(asObject(asObject(rawRoom).protocol).sla)
+      },
+      priority: {
+        ...DEFAULT_ROOM.protocol.priority,
+        ...asObject(asObject(asObject(rawRoom).protocol).priority)
+      },
+      claim: {
+        ...DEFAULT_ROOM.protocol.claim,
+        ...asObject(asObject(asObject(rawRoom).protocol).claim)
+      },
+      feedback: {
+        ...DEFAULT_ROOM.protocol.feedback,
+        ...asObject(asObject(asObject(rawRoom).protocol).feedback)
+      },
+      boardMessage: {
+        ...DEFAULT_ROOM.protocol.boardMessage,
+        ...asObject(asObject(asObject(rawRoom).protocol).boardMessage)
+      },
+      contextSummary: {
+        ...DEFAULT_ROOM.protocol.contextSummary,
+        ...asObject(asObject(asObject(rawRoom).protocol).contextSummary)
       }
     },
     autopilot: {
@@ -161,6 +301,17 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
     perRoomAccounts[agentId] = accountId;
   }
 
+  // Per-agent label interests for the injected task board
+  const agentLabels = {};
+  for (const [agentIdRaw, labelsRaw] of Object.entries(asObject(merged.agentLabels))) {
+    const agentId = asString(agentIdRaw);
+    const labels = uniqueStrings(
+      asArray(labelsRaw).map((label) => asString(label).replace(/^#/, "").toLowerCase())
+    );
+    if (!agentId || labels.length === 0) continue;
+    agentLabels[agentId] = labels;
+  }
+
   const mentionAliases = {};
   const configuredAliases = asObject(merged.mentionAliases);
   for (const agentId of memberAgents) {
@@ -177,6 +328,10 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
   const mainAgentId = asString(merged.protocol.mainAgentId);
   const taskMemoryRaw = asObject(merged.protocol.taskMemory);
   const taskMemoryMode = asString(taskMemoryRaw.fileMode).toLowerCase();
+  const slaRaw = asObject(merged.protocol.sla);
+  const workflow = normalizeWorkflow(merged.protocol.workflow);
+  const priorityRaw = asObject(merged.protocol.priority);
+  const lowPriority = asString(priorityRaw.lowPriority).toLowerCase();
   const defaultMainAgent = memberAgents.includes("main") ? "main" : memberAgents[0] || "main";
 
   return {
@@ -185,6 +340,8 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
     enabled: merged.enabled !== false,
     memberAgents,
     agentAccounts: perRoomAccounts,
+    agentLabels,
+    taskTemplates: normalizeTaskTemplates(merged.taskTemplates, memberAgents),
     forwardMode:
       forwardMode === "mentions-only" || forwardMode === "all-members"
         ? forwardMode
@@ -201,6 +358,29 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
       signalPrefix: asString(merged.protocol.signalPrefix) || "[task]",
       injectRelayGuide: merged.protocol.injectRelayGuide !== false,
       maxTasks: clampInt(merged.protocol.maxTasks, 200, 10, 2000),
+      workflow,
+      review: normalizeReviewPolicy(merged.protocol.review, workflow, mainAgentId || defaultMainAgent),
+      wip: normalizeWipPolicy(merged.protocol.wip, workflow),
+      claim: {
+        enabled: merged.protocol.claim.enabled === true,
+        leaseSeconds: clampInt(merged.protocol.claim.leaseSeconds, 1800, 60, 604800)
+      },
+      feedback: {
+        enabled: merged.protocol.feedback.enabled !== false,
+        postToRoom: merged.protocol.feedback.postToRoom === true,
+        maxItems: clampInt(merged.protocol.feedback.maxItems, 5, 1, 20)
+      },
+      boardMessage: {
+        enabled: merged.protocol.boardMessage.enabled === true,
+        throttleSeconds: clampInt(merged.protocol.boardMessage.throttleSeconds, 60, 5, 3600),
+        pin: merged.protocol.boardMessage.pin !== false,
+        dryRun: merged.protocol.boardMessage.dryRun === true
+      },
+      contextSummary: {
+        enabled: merged.protocol.contextSummary.enabled === true,
+        summaryAgentId: asString(merged.protocol.contextSummary.summaryAgentId),
+        maxChars: clampInt(merged.protocol.contextSummary.maxChars, 1500, 200, 8000)
+      },
       taskMemory: {
         enabled: taskMemoryRaw.enabled === true,
         outputDir: asString(taskMemoryRaw.outputDir),
@@ -211,6 +391,17 @@ function normalizeRoomConfig(rawRoom, globalTeamroom, identity) {
         command: asString(taskMemoryRaw.command) || "openclaw",
         timeoutSeconds: clampInt(taskMemoryRaw.timeoutSeconds, 120, 5, 900),
         dryRun: taskMemoryRaw.dryRun === true
+      },
+      sla: {
+        enabled: slaRaw.enabled === true,
+        staleSeconds: clampInt(slaRaw.staleSeconds, 7200, 300, 604800),
+        sweepIntervalSeconds: clampInt(slaRaw.sweepIntervalSeconds, 300, 30, 86400),
+        remindCooldownSeconds: clampInt(slaRaw.remindCooldownSeconds, 3600, 60, 604800),
+        dryRun: slaRaw.dryRun === true
+      },
+      priority: {
+        lowPriority: /^p[0-3]$/.test(lowPriority) ? lowPriority : "p3",
+        maxLowPriorityTasks: clampInt(priorityRaw.maxLowPriorityTasks, 3, 0, 50)
       }
     },
     maxTurnsPerCycle: clampInt(merged.maxTurnsPerCycle, DEFAULT_ROOM.maxTurnsPerCycle, 1, 20),
@@ -262,6 +453,33 @@ export function normalizePluginConfig(rawConfig, cfg) {
   const stickyMode = asString(stickyRaw.mode).toLowerCase();
   const stickyScope = asString(stickyRaw.scope).toLowerCase();
   const stickySeedMode = asString(stickyRaw.seedMode).toLowerCase();
+  const historyRaw = {
+    ...DEFAULT_TEAMROOM.historyTool,
+    ...asObject(teamroot.historyTool)
+  };
+  const budgetRaw = {
+    ...DEFAULT_TEAMROOM.contextBudget,
+    ...asObject(teamroot.contextBudget)
+  };
+  const budgetErrors = [];
+  // Deprecated character budget: CJK text costs about one token per
+  // character, so it carries over 1:1 unless a token budget is set
+  if (teamroot.contextMaxChars != null) {
+    if (asObject(asObject(root.teamroom).contextBudget).maxTokens == null) {
+      budgetRaw.maxTokens = teamroot.contextMaxChars;
+      budgetErrors.push(
+        `contextMaxChars is deprecated; using it as contextBudget.maxTokens=${clampInt(teamroot.contextMaxChars, 8000, 500, 64000)}`
+      );
+    } else {
+      budgetErrors.push("contextMaxChars is deprecated and ignored; contextBudget.maxTokens is set");
+    }
+  }
+  const contextMaxTokens = clampInt(budgetRaw.maxTokens, 8000, 500, 64000);
+  const budgetAgents = {};
+  for (const [agentIdRaw, value] of Object.entries(asObject(budgetRaw.agents))) {
+    const agentId = asString(agentIdRaw);
+    if (agentId) budgetAgents[agentId] = clampInt(value, contextMaxTokens, 500, 64000);
+  }
   const rooms = [];
   const roomsById = {};
   for (const room of asArray(teamroot.rooms)) {
@@ -279,7 +497,11 @@ export function normalizePluginConfig(rawConfig, cfg) {
       channel: asString(teamroot.channel).toLowerCase() || "feishu",
       dedupWindowSize,
       relayCompact: teamroot.relayCompact !== false,
-      contextMaxChars: clampInt(teamroot.contextMaxChars, 8000, 1000, 64000),
+      contextBudget: {
+        maxTokens: contextMaxTokens,
+        agents: budgetAgents,
+        errors: budgetErrors
+      },
       contextMaxMessages: clampInt(teamroot.contextMaxMessages, 50, 5, 500),
       stickyOutput: {
         enabled: stickyRaw.enabled === true,
@@ -291,6 +513,10 @@ export function normalizePluginConfig(rawConfig, cfg) {
             ? "forward-targets"
             : "all-members-on-external"
       },
+      historyTool: {
+        enabled: historyRaw.enabled !== false,
+        maxLimit: clampInt(historyRaw.maxLimit, 50, 5, 200)
+      },
       rooms,
       roomsById
     },
@@ -1,10 +1,12 @@
-import { asString } from "./utils.js";
+import { CJK_CHARS, asString } from "./utils.js";
+import { estimateTokens } from "./tokens.js";
 import {
   closeSync,
   existsSync,
   mkdirSync,
   openSync,
   readFileSync,
+  readSync,
   renameSync,
   rmSync,
   statSync,
@@ -15,6 +17,7 @@ import {
 import { dirname, join } from "path";
 import { homedir } from "os";
 
+const DEFAULT_CONTEXT_TOKENS = 8000;
 const DATA_DIR = join(homedir(), ".openclaw", "plugin-data", "agent-teamchat");
 const ROOMS_DIR = join(DATA_DIR, "rooms");
 const LOCK_STALE_MS = 10_000;
@@ -68,10 +71,140 @@ function roomPath(roomId) {
   return join(ROOMS_DIR, sanitizeRoomId(roomId));
 }
 
-function messagesPath(roomId) {
+// Retired single-file log, migrated into segments on first access
+function legacyMessagesPath(roomId) {
   return join(roomPath(roomId), "messages.jsonl");
 }
 
+function segmentsDir(roomId) {
+  return join(roomPath(roomId), "messages");
+}
+
+function indexPath(roomId) {
+  return join(segmentsDir(roomId), "index.json");
+}
+
+function segmentName(n) {
+  return `${String(n).padStart(6, "0")}.jsonl`;
+}
+
+function emptyIndex() {
+  return { version: 1, nextSegment: 1, segments: [], ids: {} };
+}
+
+function parseLines(raw) {
+  const messages = [];
+  for (const line of raw.split("\n")) {
+    if (!line) continue;
+    try {
+      messages.push(JSON.parse(line));
+    } catch {}
+  }
+  return messages;
+}
+
+// ─── Search tokenization ───
+
+// Han, kana and hangul: no spaces between words, so they are matched by
+// overlapping character pairs instead of whole words
+const CJK_RUN = new RegExp(`^[${CJK_CHARS}]`);
+const TOKEN_PATTERN = new RegExp(`[${CJK_CHARS}]+|[a-z0-9_\\u00c0-\\u024f]+`, "g");
+
+/**
+ * Split a search query into terms: latin words (matched as word prefixes)
+ * and CJK character pairs (matched as substrings; a lone character matches
+ * itself).
+ */
+function searchTerms(text) {
+  const terms = new Map();
+  for (const run of asString(text).toLowerCase().match(TOKEN_PATTERN) || []) {
+    if (!CJK_RUN.test(run)) {
+      terms.set(`w:${run}`, { word: run });
+      continue;
+    }
+    if (run.length === 1) terms.set(`c:${run}`, { chars: run });
+    for (let i = 0; i + 1 < run.length; i += 1) {
+      const pair = run.slice(i, i + 2);
+      terms.set(`c:${pair}`, { chars: pair });
+    }
+  }
+  return [...terms.values()];
+}
+
+function matchesTerms(content, terms) {
+  const text = asString(content).toLowerCase();
+  const words = (text.match(TOKEN_PATTERN) || []).filter((run) => !CJK_RUN.test(run));
+  return terms.every((term) =>
+    term.chars ? text.includes(term.chars) : words.some((word) => word.startsWith(term.word))
+  );
+}
+
+/** Predicate for the since/until (ms), sender and type filters shared by search and paging. */
+function messageFilter(filters) {
+  const since = Number(filters.since) || 0;
+  const until = Number(filters.until) || Infinity;
+  const sender = asString(filters.sender).toLowerCase();
+  const type = asString(filters.type);
+  return (msg) =>
+    msg.ts >= since &&
+    msg.ts <= until &&
+    (!type || msg.type === type) &&
+    (!sender || [msg.sender, msg.sourceAgent, msg.senderId].some((v) => asString(v).toLowerCase() === sender));
+}
+
+function summaryPath(roomId) {
+  return join(roomPath(roomId), "summary.json");
+}
+
+function clockTime(ts) {
+  const d = new Date(ts);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+function formatContextLine(msg) {
+  const sender = msg.sourceAgent || msg.sender || "unknown";
+  const prefix = msg.type === "task_update" ? "📋 " : "";
+  return `[${clockTime(msg.ts)} ${sender}] ${prefix}${msg.content}`;
+}
+
+const CONTEXT_CLOSING = "[/teamroom-context]";
+
+function contextHeader(roomId, selection, budget, wrapper) {
+  const counts = `room=${roomId} unread=${selection.unread}${selection.skipped > 0 ? ` skipped=${selection.skipped}` : ""}${
+    selection.summaryLine ? ` summarized=${selection.summarized}` : ""
+  }`;
+  const parts = { ...budget.parts, wrapper };
+  const used = Object.values(parts).reduce((sum, n) => sum + n, 0);
+  const spent = Object.entries(parts).map(([name, n]) => `${name}=${n}`).join(" ");
+  return `[teamroom-context ${counts} tokens=${used}/${budget.max} ${spent}]`;
+}
+
+/**
+ * Upper bound on the header and closing tag of a block reporting these
+ * budget `partNames` (every count rendered with 8 digits). Reserve it
+ * before filling the budget with messages.
+ */
+export function contextWrapperTokens(roomId, partNames, max) {
+  const big = 99_999_999;
+  const selection = { unread: big, skipped: big, summarized: big, summaryLine: "-" };
+  const parts = Object.fromEntries(partNames.map((name) => [name, big]));
+  return estimateTokens(contextHeader(roomId, selection, { max, parts }, big)) + estimateTokens(CONTEXT_CLOSING);
+}
+
+/**
+ * Render a selectContext result as a `[teamroom-context]` block. `budget`
+ * is { max, parts }: the estimated tokens per prompt section, reported in
+ * the header together with the header's own cost (`wrapper`).
+ */
+export function formatContextBlock(roomId, selection, budget) {
+  // The header reports its own cost; a second estimate settles the digits
+  const rough = estimateTokens(contextHeader(roomId, selection, budget, 0)) + estimateTokens(CONTEXT_CLOSING);
+  const wrapper = estimateTokens(contextHeader(roomId, selection, budget, rough)) + estimateTokens(CONTEXT_CLOSING);
+  return [contextHeader(roomId, selection, budget, wrapper), selection.summaryLine, ...selection.lines, CONTEXT_CLOSING]
+    .filter(Boolean)
+    .join("\n");
+}
+
 function watermarksPath(roomId) {
   return join(roomPath(roomId), "watermarks.json");
 }
@@ -134,6 +267,107 @@ export class MessageCache {
     this.maxMessages = options.maxMessages || 500;
     this.cleanupTtlMs = (options.cleanupTtlSeconds || 3600) * 1000;
     this.compactThreshold = options.compactThreshold || 200;
+    this.segmentSize = options.segmentSize || 100;
+  }
+
+  // ─── Segmented log ───
+  //
+  // messages/NNNNNN.jsonl hold up to `segmentSize` messages each, in arrival
+  // order. messages/index.json lists the segments (count, byte length, ts
+  // range, first/last id) and maps every message id to its segment and byte
+  // offset, so lookups read only the segments after a watermark.
+
+  _index(roomId) {
+    this._migrateLegacyLog(roomId);
+    const index = readJsonSafe(indexPath(roomId), null, this.logger);
+    return index && Array.isArray(index.segments) ? index : emptyIndex();
+  }
+
+  _saveIndex(roomId, index) {
+    return writeJsonAtomic(indexPath(roomId), index, this.logger);
+  }
+
+  /** Record `line` in the index; returns the segment it belongs to. */
+  _indexMessage(index, record, line) {
+    let segment = index.segments[index.segments.length - 1];
+    if (!segment || segment.count >= this.segmentSize) {
+      segment = {
+        file: segmentName(index.nextSegment),
+        count: 0,
+        bytes: 0,
+        minTs: record.ts,
+        maxTs: record.ts,
+        firstId: record.id,
+        lastId: "",
+        lastTs: 0
+      };
+      index.nextSegment += 1;
+      index.segments.push(segment);
+    }
+    index.ids[record.id] = { segment: segment.file, offset: segment.bytes };
+    segment.count += 1;
+    segment.bytes += Buffer.byteLength(line, "utf8");
+    segment.minTs = Math.min(segment.minTs, record.ts);
+    segment.maxTs = Math.max(segment.maxTs, record.ts);
+    segment.lastId = record.id;
+    segment.lastTs = record.ts;
+    return segment;
+  }
+
+  /** Messages of one segment between byte `from` and `to` (its indexed length). */
+  _readSegment(roomId, segment, from = 0, to = segment.bytes) {
+    const length = to - from;
+    if (length <= 0) return [];
+    const filePath = join(segmentsDir(roomId), segment.file);
+    let fd = null;
+    try {
+      fd = openSync(filePath, "r");
+      const buffer = Buffer.alloc(length);
+      const read = readSync(fd, buffer, 0, length, from);
+      return parseLines(buffer.subarray(0, read).toString("utf8"));
+    } catch (err) {
+      if (this.logger) this.logger.warn(`[teamchat] read segment failed: ${filePath} err=${String(err)}`);
+      return [];
+    } finally {
+      try { if (fd != null) closeSync(fd); } catch {}
+    }
+  }
+
+  _readSegments(roomId, segments) {
+    return segments.flatMap((segment) => this._readSegment(roomId, segment));
+  }
+
+  /**
+   * Split a room's retired messages.jsonl into segments. The old file is
+   * kept as messages.jsonl.migrated.
+   */
+  _migrateLegacyLog(roomId) {
+    if (!existsSync(legacyMessagesPath(roomId))) return;
+    withFileLock(lockPath(roomId, "write"), () => {
+      const legacyPath = legacyMessagesPath(roomId);
+      if (!existsSync(legacyPath)) return;
+      const index = existsSync(indexPath(roomId))
+        ? readJsonSafe(indexPath(roomId), emptyIndex(), this.logger)
+        : emptyIndex();
+      const messages = parseLines(readFileSync(legacyPath, "utf8"));
+      const lines = new Map();
+      for (const message of messages) {
+        const line = JSON.stringify(message) + "\n";
+        const segment = this._indexMessage(index, message, line);
+        lines.set(segment.file, (lines.get(segment.file) || "") + line);
+      }
+      mkdirSync(segmentsDir(roomId), { recursive: true });
+      for (const [file, content] of lines) {
+        appendFileSync(join(segmentsDir(roomId), file), content, "utf8");
+      }
+      if (!this._saveIndex(roomId, index)) return;
+      renameSync(legacyPath, `${legacyPath}.migrated`);
+      if (this.logger) {
+        this.logger.info(
+          `[teamchat] migrated message log room=${roomId}: ${messages.length} messages → ${lines.size} segment(s)`
+        );
+      }
+    }, this.logger);
   }
 
   /**
@@ -163,10 +397,15 @@ export class MessageCache {
     };
 
     const line = JSON.stringify(record) + "\n";
+    this._migrateLegacyLog(roomId);
     const lp = lockPath(roomId, "write");
 
     withFileLock(lp, () => {
-      appendFileSync(messagesPath(roomId), line, "utf8");
+      const index = this._index(roomId);
+      const segment = this._indexMessage(index, record, line);
+      mkdirSync(segmentsDir(roomId), { recursive: true });
+      appendFileSync(join(segmentsDir(roomId), segment.file), line, "utf8");
+      this._saveIndex(roomId, index);
     }, this.logger);
 
     return record;
@@ -176,22 +415,8 @@ export class MessageCache {
    * Read all messages from the room cache.
    */
   readAllMessages(roomId) {
-    const filePath = messagesPath(roomId);
-    if (!existsSync(filePath)) return [];
-    try {
-      const raw = readFileSync(filePath, "utf8");
-      const lines = raw.split("\n").filter(Boolean);
-      const messages = [];
-      for (const line of lines) {
-        try {
-          messages.push(JSON.parse(line));
-        } catch {}
-      }
-      return messages;
-    } catch (err) {
-      if (this.logger) this.logger.warn(`[teamchat] read messages failed: ${filePath} err=${String(err)}`);
-      return [];
-    }
+    if (!roomId) return [];
+    return this._readSegments(roomId, this._index(roomId).segments);
   }
 
   /**
@@ -200,65 +425,178 @@ export class MessageCache {
    */
   getUnreadMessages(roomId, agentId) {
     if (!roomId || !agentId) return [];
-    const allMessages = this.readAllMessages(roomId);
+    const index = this._index(roomId);
     const watermarks = this.getWatermarks(roomId);
     const agentWatermark = watermarks[agentId];
     const lastReadTs = agentWatermark?.lastReadTs || 0;
     const lastReadId = agentWatermark?.lastReadId || "";
 
-    let startIdx = 0;
-    if (lastReadId) {
-      const idx = allMessages.findIndex((m) => m.id === lastReadId);
-      if (idx >= 0) {
-        startIdx = idx + 1;
-      } else if (lastReadTs > 0) {
-        // lastReadId not found (stale/legacy id) — fall back to ts-based boundary
-        // Use strict > to avoid re-delivering messages at the exact watermark ts
-        startIdx = allMessages.findIndex((m) => m.ts > lastReadTs);
-        if (startIdx < 0) startIdx = allMessages.length;
-      }
+    let messages = null;
+    const position = lastReadId ? index.ids[lastReadId] : null;
+    const start = position ? index.segments.findIndex((s) => s.file === position.segment) : -1;
+    if (start >= 0) {
+      // Skip the watermark message itself
+      messages = [
+        ...this._readSegment(roomId, index.segments[start], position.offset).slice(1),
+        ...this._readSegments(roomId, index.segments.slice(start + 1))
+      ];
     } else if (lastReadTs > 0) {
-      startIdx = allMessages.findIndex((m) => m.ts > lastReadTs);
-      if (startIdx < 0) startIdx = allMessages.length;
+      // No id (or a stale/legacy one) — fall back to the ts boundary. Use
+      // strict > to avoid re-delivering messages at the exact watermark ts
+      const first = index.segments.findIndex((s) => s.maxTs > lastReadTs);
+      const tail = first < 0 ? [] : this._readSegments(roomId, index.segments.slice(first));
+      const idx = tail.findIndex((m) => m.ts > lastReadTs);
+      messages = idx < 0 ? [] : tail.slice(idx);
+    } else {
+      messages = this._readSegments(roomId, index.segments);
     }
 
-    return allMessages
-      .slice(startIdx)
-      .filter((m) => m.sourceAgent !== agentId);
+    return messages.filter((m) => m.sourceAgent !== agentId);
   }
 
   /**
-   * Build a context block from unread messages for injection into agent session.
+   * Search a room's messages, newest first. Every query term must occur in
+   * the message (see searchTerms). filters: sender (name, agent or sender
+   * id), since/until (ms), type, limit (default 20). Segments outside the
+   * time range are not read.
    */
-  buildContextBlock(roomId, agentId, options = {}) {
+  search(roomId, query, filters = {}) {
+    const terms = searchTerms(query);
+    if (!roomId || terms.length === 0) return [];
+    const since = Number(filters.since) || 0;
+    const until = Number(filters.until) || Infinity;
+    const matches = messageFilter(filters);
+    const limit = Number(filters.limit) || 20;
+    const segments = this._index(roomId).segments;
+    const results = [];
+    for (let s = segments.length - 1; s >= 0 && results.length < limit; s--) {
+      const segment = segments[s];
+      if (segment.maxTs < since || segment.minTs > until) continue;
+      const messages = this._readSegment(roomId, segment);
+      for (let i = messages.length - 1; i >= 0 && results.length < limit; i--) {
+        const msg = messages[i];
+        if (matches(msg) && matchesTerms(msg.content, terms)) results.push(msg);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Page through a room's messages; each page is oldest first.
+   * options: since/until (ms), sender, type, limit (default 20) and either
+   * beforeId — exclusive cursor, the previous page's `nextBefore` — or
+   * aroundId, which centres the page on that message (filters ignored).
+   * Returns { messages, hasMore, nextBefore, notFound }.
+   */
+  queryMessages(roomId, options = {}) {
+    const limit = Number(options.limit) || 20;
+    const index = this._index(roomId);
+    const cursorId = asString(options.aroundId) || asString(options.beforeId);
+    const cursor = cursorId ? index.ids[cursorId] : null;
+    const cursorSegment = cursor ? index.segments.findIndex((s) => s.file === cursor.segment) : -1;
+    if (cursorId && cursorSegment < 0) return { messages: [], hasMore: false, nextBefore: "", notFound: true };
+
+    if (options.aroundId) {
+      const segment = index.segments[cursorSegment];
+      const earlier = this._readSegment(roomId, segment, 0, cursor.offset);
+      const later = this._readSegment(roomId, segment, cursor.offset);
+      const wantBefore = Math.floor((limit - 1) / 2);
+      for (let s = cursorSegment - 1; s >= 0 && earlier.length < wantBefore + 1; s--) {
+        earlier.unshift(...this._readSegment(roomId, index.segments[s]));
+      }
+      const before = earlier.slice(Math.max(0, earlier.length - wantBefore));
+      for (let s = cursorSegment + 1; s < index.segments.length && later.length < limit - before.length; s++) {
+        later.push(...this._readSegment(roomId, index.segments[s]));
+      }
+      const messages = [...before, ...later.slice(0, limit - before.length)];
+      const hasMore = earlier.length > before.length;
+      return { messages, hasMore, nextBefore: hasMore ? messages[0]?.id || "" : "", notFound: false };
+    }
+
+    const since = Number(options.since) || 0;
+    const until = Number(options.until) || Infinity;
+    const matches = messageFilter(options);
+    // Collect one extra match (newest first) to know whether an older page exists
+    const collected = [];
+    const last = cursor ? cursorSegment : index.segments.length - 1;
+    for (let s = last; s >= 0 && collected.length <= limit; s--) {
+      const segment = index.segments[s];
+      if (segment.maxTs < since || segment.minTs > until) continue;
+      const to = s === cursorSegment ? cursor.offset : segment.bytes;
+      const messages = this._readSegment(roomId, segment, 0, to);
+      for (let i = messages.length - 1; i >= 0 && collected.length <= limit; i--) {
+        if (matches(messages[i])) collected.push(messages[i]);
+      }
+    }
+    const hasMore = collected.length > limit;
+    const messages = collected.slice(0, limit).reverse();
+    return { messages, hasMore, nextBefore: hasMore ? messages[0].id : "", notFound: false };
+  }
+
+  /**
+   * Pick the unread messages that fit a token budget, newest first.
+   * options: maxMessages, maxTokens, summary (prepend the room's rolling
+   * summary when messages were skipped; it shares the budget) and
+   * onSkip(messages), called with skipped messages the summary does not
+   * cover yet. Returns null when there is nothing unread.
+   */
+  selectContext(roomId, agentId, options = {}) {
     const unread = this.getUnreadMessages(roomId, agentId);
-    if (unread.length === 0) return "";
+    if (unread.length === 0) return null;
 
     const maxMessages = options.maxMessages || 50;
-    const maxChars = options.maxChars || 8000;
-
-    // Take last N by count first, then apply char budget from newest → oldest
-    const candidates = unread.slice(-maxMessages);
-    const selected = [];
-    let charCount = 0;
-    for (let i = candidates.length - 1; i >= 0; i--) {
-      const line = candidates[i].content || "";
-      if (charCount + line.length > maxChars) break;
-      charCount += line.length;
-      selected.unshift(candidates[i]);
-    }
+    const maxTokens = Number.isFinite(options.maxTokens) ? options.maxTokens : DEFAULT_CONTEXT_TOKENS;
+
+    // Take last N by count first, then apply the token budget from newest → oldest
+    const candidates = unread.slice(-maxMessages).map((msg) => {
+      const line = formatContextLine(msg);
+      return { line, tokens: estimateTokens(line) };
+    });
+    const fit = (limit) => {
+      const lines = [];
+      let tokens = 0;
+      for (let i = candidates.length - 1; i >= 0; i--) {
+        if (tokens + candidates[i].tokens > limit) break;
+        tokens += candidates[i].tokens;
+        lines.unshift(candidates[i].line);
+      }
+      return { lines, tokens };
+    };
 
-    const skipped = unread.length - selected.length;
-    const lines = [`[teamroom-context room=${roomId} unread=${unread.length}${skipped > 0 ? ` skipped=${skipped}` : ""}]`];
-    for (const msg of selected) {
-      const d = new Date(msg.ts);
-      const time = `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
-      const sender = msg.sourceAgent || msg.sender || "unknown";
-      const prefix = msg.type === "task_update" ? "📋 " : "";
-      lines.push(`[${time} ${sender}] ${prefix}${msg.content}`);
+    let picked = fit(maxTokens);
+    const summary =
+      unread.length > picked.lines.length && (options.summary || options.onSkip) ? this.getSummary(roomId) : null;
+    const coveredUntilTs = summary?.coveredUntilTs || 0;
+    let summaryLine = "";
+    if (options.summary && summary) {
+      summaryLine = `[summary of ${summary.count} earlier messages, until ${clockTime(coveredUntilTs)}] ${summary.text}`;
+      picked = fit(Math.max(0, maxTokens - estimateTokens(summaryLine)));
     }
-    lines.push("[/teamroom-context]");
-    return lines.join("\n");
+
+    const skipped = unread.slice(0, unread.length - picked.lines.length);
+    const pending = skipped.filter((m) => m.ts > coveredUntilTs);
+    if (options.onSkip && pending.length > 0) options.onSkip(pending);
+    return {
+      unread: unread.length,
+      skipped: skipped.length,
+      summarized: summaryLine ? skipped.length - pending.length : 0,
+      summaryLine,
+      lines: picked.lines,
+      tokens: { summary: estimateTokens(summaryLine), messages: picked.tokens }
+    };
+  }
+
+  /**
+   * Build a context block from unread messages for injection into agent session.
+   * Takes the selectContext options; maxTokens includes the header, which
+   * reports the token spend.
+   */
+  buildContextBlock(roomId, agentId, options = {}) {
+    const max = Number.isFinite(options.maxTokens) ? options.maxTokens : DEFAULT_CONTEXT_TOKENS;
+    const reserve = contextWrapperTokens(roomId, ["summary", "messages"], max);
+    const selection = this.selectContext(roomId, agentId, { ...options, maxTokens: Math.max(0, max - reserve) });
+    if (!selection) return "";
+    return formatContextBlock(roomId, selection, { max, parts: selection.tokens });
   }
 
   /**
@@ -298,10 +636,10 @@ export class MessageCache {
    * Mark all current messages as read for an agent.
    */
   markAllAsRead(roomId, agentId) {
-    const allMessages = this.readAllMessages(roomId);
-    if (allMessages.length === 0) return;
-    const last = allMessages[allMessages.length - 1];
-    this.markAsRead(roomId, agentId, last.id, last.ts);
+    const segments = this._index(roomId).segments;
+    const last = segments[segments.length - 1];
+    if (!last || last.count === 0) return;
+    this.markAsRead(roomId, agentId, last.lastId, last.lastTs);
   }
 
   /**
@@ -311,22 +649,52 @@ export class MessageCache {
     return readJsonSafe(watermarksPath(roomId), {}, this.logger);
   }
 
+  /**
+   * The room's rolling summary of earlier messages:
+   * { text, count, coveredUntilTs, coveredUntilId, updatedAt }, or null.
+   */
+  getSummary(roomId) {
+    const summary = readJsonSafe(summaryPath(roomId), null, this.logger);
+    return summary && summary.text ? summary : null;
+  }
+
+  /**
+   * Store a rolling summary. Ignored when it would cover less than the
+   * stored one (a slower, older refresh finishing late).
+   */
+  setSummary(roomId, summary) {
+    if (!roomId || !asString(summary?.text)) return false;
+    const current = this.getSummary(roomId);
+    if (current && current.coveredUntilTs > Number(summary.coveredUntilTs)) return false;
+    return writeJsonAtomic(summaryPath(roomId), {
+      text: asString(summary.text),
+      count: Number(summary.count) || 0,
+      coveredUntilTs: Number(summary.coveredUntilTs) || 0,
+      coveredUntilId: asString(summary.coveredUntilId),
+      updatedAt: Number(summary.updatedAt) || Date.now()
+    }, this.logger);
+  }
+
   /**
    * Check if a message with the same content from the same source
    * already exists within a time window (dedup for echo detection).
    */
   hasRecentMessage(roomId, content, sourceAgent, windowMs) {
     if (!roomId || !content) return false;
-    const allMessages = this.readAllMessages(roomId);
+    const segments = this._index(roomId).segments;
     const now = Date.now();
     const cutoff = now - (windowMs || 30000);
     const normalizedContent = asString(content);
 
-    for (let i = allMessages.length - 1; i >= 0; i--) {
-      const msg = allMessages[i];
-      if (msg.ts < cutoff) break;
-      if (msg.content === normalizedContent) {
-        if (!sourceAgent || msg.sourceAgent === sourceAgent) return true;
+    // Newest segment first; stop at the first message older than the window
+    for (let s = segments.length - 1; s >= 0; s--) {
+      const messages = this._readSegment(roomId, segments[s]);
+      for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (msg.ts < cutoff) return false;
+        if (msg.content === normalizedContent) {
+          if (!sourceAgent || msg.sourceAgent === sourceAgent) return true;
+        }
       }
     }
     return false;
@@ -334,11 +702,13 @@ export class MessageCache {
 
   /**
    * Cleanup: remove messages that all agents have read and are older than TTL.
+   * options.onCompact(messages) receives the removed messages the rolling
+   * summary does not cover yet, after the write lock is released.
    */
-  cleanup(roomId, memberAgents) {
+  cleanup(roomId, memberAgents, options = {}) {
     if (!roomId || !memberAgents || memberAgents.length === 0) return;
-    const allMessages = this.readAllMessages(roomId);
-    if (allMessages.length < this.compactThreshold) return;
+    const total = this._index(roomId).segments.reduce((sum, s) => sum + s.count, 0);
+    if (total < this.compactThreshold) return;
 
     const watermarks = this.getWatermarks(roomId);
     const now = Date.now();
@@ -362,29 +732,72 @@ export class MessageCache {
     const cutoff = now - this.cleanupTtlMs;
     const keepThreshold = Math.max(minReadTs, cutoff);
 
-    const kept = allMessages.filter((m) => m.ts > keepThreshold);
-    if (kept.length === allMessages.length) return;
-
-    const lp = lockPath(roomId, "compact");
-    withFileLock(lp, () => {
-      const content = kept.map((m) => JSON.stringify(m)).join("\n") + (kept.length > 0 ? "\n" : "");
-      writeFileSync(messagesPath(roomId), content, "utf8");
+    const coveredUntilTs = options.onCompact ? this.getSummary(roomId)?.coveredUntilTs || 0 : Infinity;
+    const removed = [];
+    let kept = total;
+    withFileLock(lockPath(roomId, "write"), () => {
+      const index = this._index(roomId);
+      // Only segments holding an expired message are touched
+      if (!index.segments.some((s) => s.minTs <= keepThreshold)) return;
+      const rebuilt = { ...index, segments: [], ids: {} };
+      const untouched = new Set();
+      const dir = segmentsDir(roomId);
+      for (const segment of index.segments) {
+        if (segment.minTs > keepThreshold) {
+          untouched.add(segment.file);
+          rebuilt.segments.push(segment);
+          continue;
+        }
+        const all = segment.maxTs > keepThreshold || segment.maxTs > coveredUntilTs
+          ? this._readSegment(roomId, segment)
+          : [];
+        const messages = all.filter((m) => m.ts > keepThreshold);
+        removed.push(...all.filter((m) => m.ts <= keepThreshold && m.ts > coveredUntilTs));
+        const filePath = join(dir, segment.file);
+        if (messages.length === 0) {
+          rmSync(filePath, { force: true });
+          continue;
+        }
+        const lines = messages.map((m) => JSON.stringify(m) + "\n");
+        writeFileSync(`${filePath}.tmp`, lines.join(""), "utf8");
+        renameSync(`${filePath}.tmp`, filePath);
+        // Re-index the rewritten segment with fresh offsets
+        const rewritten = { ...segment, count: 0, bytes: 0, minTs: Infinity, maxTs: 0, firstId: messages[0].id };
+        rebuilt.segments.push(rewritten);
+        messages.forEach((m, i) => {
+          rebuilt.ids[m.id] = { segment: rewritten.file, offset: rewritten.bytes };
+          rewritten.count += 1;
+          rewritten.bytes += Buffer.byteLength(lines[i], "utf8");
+          rewritten.minTs = Math.min(rewritten.minTs, m.ts);
+          rewritten.maxTs = Math.max(rewritten.maxTs, m.ts);
+          rewritten.lastId = m.id;
+          rewritten.lastTs = m.ts;
+        });
+      }
+      for (const [id, position] of Object.entries(index.ids)) {
+        if (untouched.has(position.segment)) rebuilt.ids[id] = position;
+      }
+      this._saveIndex(roomId, rebuilt);
+      kept = rebuilt.segments.reduce((sum, s) => sum + s.count, 0);
     }, this.logger);
+    if (kept === total) return;
 
     if (this.logger) {
       this.logger.info(
-        `[teamchat] cache cleanup room=${roomId}: ${allMessages.length} → ${kept.length} messages`
+        `[teamchat] cache cleanup room=${roomId}: ${total} → ${kept} messages`
       );
     }
+    if (options.onCompact && removed.length > 0) options.onCompact(removed);
   }
 
   /**
    * Get a snapshot of the cache state for a room (for /teamroom status).
    */
   snapshot(roomId, memberAgents) {
-    const allMessages = this.readAllMessages(roomId);
+    const segments = this._index(roomId).segments;
     const watermarks = this.getWatermarks(roomId);
-    const lines = [`messages=${allMessages.length}`];
+    const total = segments.reduce((sum, s) => sum + s.count, 0);
+    const lines = [`messages=${total} segments=${segments.length}`];
     for (const agentId of (memberAgents || [])) {
       const wm = watermarks[agentId];
       const unreadCount = this.getUnreadMessages(roomId, agentId).length;
@@ -0,0 +1,95 @@
+import { DEFAULT_WORKFLOW, REVIEW_REWORK, isTerminalStatus } from "./workflow.js";
+
+const DAY_MS = 86_400_000;
+
+function emptyStats() {
+  return { closed: 0, leadTimeMs: 0, blockedMs: 0, reworkRounds: 0 };
+}
+
+function finalize(stats, days) {
+  const { leadTimeMs, ...rest } = stats;
+  return {
+    ...rest,
+    avgLeadTimeMs: stats.closed > 0 ? Math.round(leadTimeMs / stats.closed) : 0,
+    throughputPerDay: stats.closed / days
+  };
+}
+
+function sortedHistory(slot) {
+  return (slot.history || [])
+    .filter((entry) => Number(entry?.at) > 0)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Time a slot spent in the workflow's blocked statuses, clipped to
+ * [since, endAt]. A span runs until the slot's next recorded status.
+ */
+function blockedMs(entries, blockedStatuses, since, endAt) {
+  let total = 0;
+  entries.forEach((entry, i) => {
+    if (!blockedStatuses.includes(entry.status)) return;
+    const start = Math.max(entry.at, since);
+    const end = Math.min(entries[i + 1]?.at ?? endAt, endAt);
+    if (end > start) total += end - start;
+  });
+  return total;
+}
+
+/**
+ * Aggregate TaskBoard records (`{active, archived}`) into room and per-agent
+ * metrics for the window starting at `options.since`:
+ * - closed / avgLeadTimeMs / throughputPerDay: tasks closed in the window,
+ *   created → closed; per agent, slots finished in the window, first signal
+ *   → terminal status
+ * - blockedMs: time slots spent in blocked statuses inside the window
+ * - reworkRounds: rework entries recorded in the window
+ * Tombstones of tasks moved to another room are skipped.
+ */
+export function computeTaskMetrics(records, options = {}) {
+  const workflow = options.workflow || DEFAULT_WORKFLOW;
+  const now = Number(options.now) || Date.now();
+  const since = Number(options.since) || 0;
+  const days = Math.max(1, (now - since) / DAY_MS);
+  const isTerminal = (status) => isTerminalStatus(status, workflow);
+  const room = emptyStats();
+  const agents = new Map((options.agentIds || []).map((agentId) => [agentId, { agentId, ...emptyStats() }]));
+  const agentStats = (agentId) => {
+    if (!agents.has(agentId)) agents.set(agentId, { agentId, ...emptyStats() });
+    return agents.get(agentId);
+  };
+
+  for (const task of [...(records.active || []), ...(records.archived || [])]) {
+    if (task.movedTo) continue;
+    const createdAt = Number(task.createdAt) || 0;
+    const closedAt = Number(task.closedAt) || 0;
+    if (closedAt >= since && closedAt <= now && createdAt && isTerminal(task.status)) {
+      room.closed += 1;
+      room.leadTimeMs += closedAt - createdAt;
+    }
+    for (const [agentId, slot] of Object.entries(task.slots || {})) {
+      const entries = sortedHistory(slot);
+      const stats = agentStats(agentId);
+      const blocked = blockedMs(entries, workflow.blocked, since, closedAt || now);
+      const rework = entries.filter((entry) => entry.status === REVIEW_REWORK && entry.at >= since).length;
+      stats.blockedMs += blocked;
+      stats.reworkRounds += rework;
+      room.blockedMs += blocked;
+      room.reworkRounds += rework;
+      const finishedAt = Number(slot.lastAt) || 0;
+      const startedAt = entries[0]?.at || createdAt;
+      if (isTerminal(slot.status) && finishedAt >= since && startedAt && finishedAt >= startedAt) {
+        stats.closed += 1;
+        stats.leadTimeMs += finishedAt - startedAt;
+      }
+    }
+  }
+
+  return {
+    since,
+    now,
+    days,
+    room: finalize(room, days),
+    agents: [...agents.values()].map((stats) => finalize(stats, days))
+  };
+}
@@ -1,15 +1,40 @@
 import {
   asString,
   escapeRegExp,
+  formatDuration,
+  formatShortTime,
   isLikelyGroupId,
   isMessageSendLikeAction,
   parseConversationId,
+  parseDateInput,
+  parseDuration,
   parseMessageParams,
   textHash,
-  toIso
+  toIso,
+  uniqueStrings
 } from "./utils.js";
-import { MessageCache } from "./message-cache.js";
-import { TaskBoard } from "./task-board.js";
+import { MessageCache, contextWrapperTokens, formatContextBlock } from "./message-cache.js";
+import { estimateTokens } from "./tokens.js";
+import {
+  TaskBoard,
+  normalizeLabels,
+  normalizePriority,
+  normalizeTaskIds,
+  taskParticipants
+} from "./task-board.js";
+import { EXPORT_FORMATS, renderTaskExport } from "./task-export.js";
+import { computeTaskMetrics } from "./metrics.js";
+import {
+  AWAITING_REVIEW,
+  CLAIM_STATUS,
+  DEFAULT_WORKFLOW,
+  REOPEN_STATUS,
+  REVIEW_APPROVE,
+  REVIEW_REWORK,
+  checkTransition,
+  isTerminalStatus,
+  resolveStatus
+} from "./workflow.js";
 import {
   appendFileSync,
   closeSync,
@@ -26,6 +51,29 @@ const DEFAULT_TASK_MEMORY_DIR = join(homedir(), ".openclaw", "workspace", "memor
 const MEMORY_LOCK_STALE_MS = 10_000;
 const MEMORY_LOCK_WAIT_MS = 25;
 const MEMORY_LOCK_RETRIES = 40;
+// Signal rejections that are reported back to the room
+const WORKFLOW_REJECTIONS = new Set([
+  "unknown_status",
+  "illegal_transition",
+  "not_reviewer",
+  "not_awaiting_review",
+  "wip_limit",
+  "already_claimed",
+  "claimed_by_other",
+  "not_claimable"
+]);
+const WORKLOAD_WINDOW_MS = 30 * 86_400_000;
+// Default and maximum window of /teamroom stats
+const STATS_DEFAULT_DAYS = 7;
+const STATS_MAX_DAYS = 365;
+// Lines of an export echoed back in the command reply
+const EXPORT_PREVIEW_LINES = 8;
+
+const CONTEXT_INTRO = "以下是最新的群聊记录，可作为参考：";
+
+// One summary agent run reads at most this much message text; longer backlogs take several runs
+const CONTEXT_SUMMARY_BATCH_CHARS = 12_000;
+const CONTEXT_SUMMARY_LINE_CHARS = 400;
 
 function normalizeFeishuTarget(rawValue) {
   const raw = asString(rawValue);
@@ -377,26 +425,88 @@ function normalizeFeishuSenderId(value) {
   return raw;
 }
 
-function normalizeTaskStatus(rawStatus) {
-  const status = asString(rawStatus).toLowerCase();
-  if (!status) return "";
-  if (status === "create" || status === "created" || status === "new") return "create";
-  if (status === "ack" || status === "accepted") return "ack";
-  if (status === "in_progress" || status === "in-progress" || status === "doing") return "in_progress";
-  if (status === "blocked" || status === "waiting") return "blocked";
-  if (status === "done" || status === "completed" || status === "finished") return "done";
-  if (status === "review_ok" || status === "review-ok" || status === "approved") return "review_ok";
-  if (status === "rework" || status === "review_rework" || status === "rejected") return "rework";
-  return status;
+const JSON_SIGNAL_FENCE = /```task[ \t]*\r?\n([\s\S]*?)```/gi;
+const JSON_SIGNAL_STRINGS = ["note", "priority", "due", "parent", "handoff"];
+const JSON_SIGNAL_LISTS = ["assign", "assignees", "labels", "links", "depends"];
+const JSON_SIGNAL_FIELDS = new Set(["id", "status", ...JSON_SIGNAL_STRINGS, ...JSON_SIGNAL_LISTS]);
+
+function jsonStringList(value) {
+  if (typeof value === "string") return normalizeTaskIds(value);
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) return null;
+  return uniqueStrings(value);
 }
 
+/**
+ * Validate one JSON signal object; returns { signal } or { error }.
+ */
+function validateJsonSignal(entry, workflow) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return { error: "expected a JSON object" };
+  const taskId = typeof entry.id === "string" ? entry.id.trim() : "";
+  const unknown = Object.keys(entry).filter((key) => !JSON_SIGNAL_FIELDS.has(key));
+  if (unknown.length > 0) return { taskId, error: `unknown field ${unknown.join(", ")}` };
+  if (!taskId || /\s/.test(taskId)) return { taskId, error: `"id" must be a non-empty string without spaces` };
+  if (typeof entry.status !== "string" || !entry.status.trim()) {
+    return { taskId, error: `"status" must be a non-empty string` };
+  }
+  for (const key of JSON_SIGNAL_STRINGS) {
+    if (entry[key] != null && typeof entry[key] !== "string") return { taskId, error: `"${key}" must be a string` };
+  }
+  const lists = {};
+  for (const key of JSON_SIGNAL_LISTS) {
+    if (entry[key] == null) continue;
+    lists[key] = jsonStringList(entry[key]);
+    if (!lists[key]) return { taskId, error: `"${key}" must be a string or an array of strings` };
+  }
 
-function parseTaskSignals(content, signalPrefix) {
+  const signal = { taskId, status: resolveStatus(entry.status, workflow), note: asString(entry.note) };
+  if (lists.depends) signal.dependsOn = lists.depends;
+  if (entry.parent) signal.parentId = asString(entry.parent);
+  if (entry.due) signal.due = asString(entry.due);
+  if (lists.assign || lists.assignees) signal.assignees = uniqueStrings([...(lists.assign || []), ...(lists.assignees || [])]);
+  if (entry.priority) signal.priority = asString(entry.priority);
+  if (lists.labels) signal.labels = normalizeLabels(lists.labels);
+  if (lists.links) signal.links = lists.links;
+  if (entry.handoff) signal.handoff = asString(entry.handoff);
+  return { signal };
+}
+
+/**
+ * Parse fenced ```task blocks holding a JSON object (or an array of them).
+ * Blocks and entries that fail validation are reported in `errors`.
+ */
+function parseJsonTaskSignals(text, workflow) {
+  const signals = [];
+  const errors = [];
+  let index = 0;
+  for (const match of text.matchAll(JSON_SIGNAL_FENCE)) {
+    index += 1;
+    let parsed;
+    try {
+      parsed = JSON.parse(match[1]);
+    } catch (err) {
+      errors.push(`task block ${index}: invalid JSON (${err.message})`);
+      continue;
+    }
+    for (const entry of Array.isArray(parsed) ? parsed : [parsed]) {
+      const checked = validateJsonSignal(entry, workflow);
+      if (checked.signal) signals.push(checked.signal);
+      else errors.push(`task block ${index}${checked.taskId ? ` id=${checked.taskId}` : ""}: ${checked.error}`);
+    }
+  }
+  return { signals, errors };
+}
+
+/**
+ * Collect task signals from a message: `[task] id=.. status=..` lines plus
+ * fenced ```task JSON blocks. Returns { signals, errors }.
+ */
+function parseTaskSignals(content, signalPrefix, workflow) {
   const text = asString(content);
-  if (!text) return [];
+  if (!text) return { signals: [], errors: [] };
   const marker = asString(signalPrefix) || "[task]";
   const prefixPattern = new RegExp(`^${escapeRegExp(marker)}\\s+(.+)$`, "i");
   const out = [];
+  const errors = [];
   for (const rawLine of text.split(/\r?\n/)) {
     const line = asString(rawLine);
     if (!line) continue;
@@ -404,13 +514,33 @@ function parseTaskSignals(content, signalPrefix) {
     if (!match) continue;
     const body = match[1];
     const taskId = asString(body.match(/(?:^|\s)id=([^\s]+)/i)?.[1]);
-    const status = normalizeTaskStatus(body.match(/(?:^|\s)status=([^\s]+)/i)?.[1]);
+    const status = resolveStatus(body.match(/(?:^|\s)status=([^\s]+)/i)?.[1], workflow);
     const noteRaw = body.match(/(?:^|\s)note=(.+)$/i)?.[1] || "";
     const note = asString(noteRaw.replace(/^["']|["']$/g, ""));
-    if (!taskId || !status) continue;
-    out.push({ taskId, status, note });
+    const dependsRaw = body.match(/(?:^|\s)(?:depends|deps|depends_?on)=([^\s]+)/i)?.[1];
+    const parentId = asString(body.match(/(?:^|\s)parent=([^\s]+)/i)?.[1]);
+    const due = asString(body.match(/(?:^|\s)due=([^\s]+)/i)?.[1]);
+    const assignRaw = body.match(/(?:^|\s)assign(?:ees?)?=([^\s]+)/i)?.[1];
+    const priority = asString(body.match(/(?:^|\s)priority=([^\s]+)/i)?.[1]);
+    const labelsRaw = body.match(/(?:^|\s)labels?=([^\s]+)/i)?.[1];
+    const handoff = asString(body.match(/(?:^|\s)handoff=([^\s]+)/i)?.[1]);
+    if (!taskId || !status) {
+      const missing = [taskId ? "" : "id=", status ? "" : "status="].filter(Boolean).join(" ");
+      errors.push(`"${line.length > 80 ? `${line.slice(0, 80)}…` : line}": missing ${missing}`);
+      continue;
+    }
+    const signal = { taskId, status, note };
+    if (dependsRaw != null) signal.dependsOn = normalizeTaskIds(dependsRaw);
+    if (parentId) signal.parentId = parentId;
+    if (due) signal.due = due;
+    if (assignRaw != null) signal.assignees = normalizeTaskIds(assignRaw);
+    if (priority) signal.priority = priority;
+    if (labelsRaw != null) signal.labels = normalizeLabels(labelsRaw);
+    if (handoff) signal.handoff = handoff;
+    out.push(signal);
   }
-  return out;
+  const json = parseJsonTaskSignals(text, workflow);
+  return { signals: [...out, ...json.signals], errors: [...errors, ...json.errors] };
 }
 
 function buildTaskSignalSystemEvent(params) {
@@ -433,7 +563,20 @@ function buildTaskSignalSystemEvent(params) {
 
 function buildProtocolGuide(room) {
   const marker = asString(room?.protocol?.signalPrefix) || "[task]";
-  return `${marker} id=<task_id> status=<ack|in_progress|blocked|done|review_ok|rework> note=<short>`;
+  const workflow = room?.protocol?.workflow || DEFAULT_WORKFLOW;
+  const statuses = workflow.statuses.filter((status) => status !== workflow.initial).join("|");
+  const flow = Object.entries(workflow.transitions)
+    .map(([from, to]) => `${from}→${to.join("|") || "(none)"}`)
+    .join("; ");
+  return `${marker} id=<task_id> status=<${statuses}> [assign=<agent,agent>] [priority=<p0|p1|p2|p3>] [labels=<a,b>] [parent=<id>] [depends=<id,id>] [due=<2h|1d|YYYY-MM-DD>] [handoff=<roomId>] note=<short>\n或使用 \`\`\`task 代码块写 JSON（字段 id/status/note/assignees/labels/priority/due/links/depends/parent/handoff），note 可含任意文本${flow ? `\n状态流转: ${flow}` : ""}${
+    room?.protocol?.review?.enabled
+      ? `\n审核: done 后任务进入 ${AWAITING_REVIEW}，由 ${room.protocol.review.reviewerAgentId} 回复 ${REVIEW_APPROVE} 或 ${REVIEW_REWORK}`
+      : ""
+  }${
+    room?.protocol?.claim?.enabled
+      ? `\n认领: 未指派的任务先发 status=${CLAIM_STATUS} 独占 ${formatDuration(room.protocol.claim.leaseSeconds * 1000)}，每次进度信号续期，超时未更新会被释放`
+      : ""
+  }\n重开: 已关闭的任务发 status=${REOPEN_STATUS} note=<原因> 恢复到看板`;
 }
 
 function splitCommandArgs(text) {
@@ -469,24 +612,54 @@ function splitCommandArgs(text) {
   return out;
 }
 
-function normalizeManualTaskStatus(rawStatus) {
-  const normalized = normalizeTaskStatus(rawStatus);
-  if (!normalized) return "";
-  if (normalized === "create") return "create";
-  if (normalized === "ack") return "ack";
-  if (normalized === "in_progress") return "in_progress";
-  if (normalized === "blocked") return "blocked";
-  if (normalized === "done") return "done";
-  if (normalized === "review_ok") return "review_ok";
-  if (normalized === "rework") return "rework";
-  return "";
+function describeTaskError(result) {
+  const reason = asString(result?.reason);
+  if (reason === "dependency_cycle") return `dependency cycle ${(result.cycle || []).join(" → ")}`;
+  if (reason === "dependency_not_found") return `unknown dependency ${result.dependency}`;
+  if (reason === "parent_not_found") return `parent task ${result.parentId} is not active`;
+  if (reason === "invalid_due") return `invalid due ${result.value}`;
+  if (reason === "invalid_priority") return `invalid priority ${result.value} (use p0|p1|p2|p3)`;
+  if (reason === "unknown_status") return `unknown status ${result.status} (allowed: ${result.allowed.join("|")})`;
+  if (reason === "not_reviewer") return `only reviewer ${result.reviewer} can review`;
+  if (reason === "not_awaiting_review") return `task is ${result.status}, not awaiting review`;
+  if (reason === "illegal_transition") {
+    return `illegal transition ${result.from} → ${result.to} (allowed: ${result.allowed.join("|") || "none"})`;
+  }
+  if (reason === "already_claimed" || reason === "claimed_by_other") {
+    const until = result.expiresAt ? ` until ${formatShortTime(result.expiresAt)}` : "";
+    return `task is claimed by ${result.holder}${until}`;
+  }
+  if (reason === "room_not_found") return `room ${result.roomId} not found`;
+  if (reason === "same_room") return "task is already in this room";
+  if (reason === "is_subtask") return `subtask of ${result.parentId}; use the root task`;
+  if (reason === "already_active") return `task ${result.taskId} is already on the board`;
+  if (reason === "moved") return `task was moved to room ${result.roomId}`;
+  if (reason === "has_dependents") return `tasks depend on it: ${result.dependents.join(", ")}`;
+  if (reason === "incompatible_workflow") {
+    return `target workflow lacks status ${result.statuses.join("|")}`;
+  }
+  if (reason === "not_claimable") return `task is ${result.status}, cannot be claimed`;
+  if (reason === "wip_limit") {
+    return `${result.agent} already holds ${result.tasks.length} task(s) in ${result.statuses.join("|")} (${result.tasks.join(", ")}), WIP limit ${result.limit}`;
+  }
+  if (reason === "unknown_assignee") return `unknown assignee ${result.agents.join(",")}`;
+  if (reason === "not_found") return "task not found";
+  if (reason === "already_exists") return "task already exists";
+  if (reason === "max_active_reached") return `too many active tasks (${result.count})`;
+  return reason || "unknown error";
 }
 
 function parseTaskTail(tokens) {
   const parsed = {
     note: "",
     owner: "",
-    roomId: ""
+    roomId: "",
+    dependsOn: null,
+    parentId: "",
+    due: "",
+    priority: "",
+    labels: null,
+    assignees: []
   };
   const freeText = [];
   for (const token of tokens) {
@@ -501,12 +674,218 @@ function parseTaskTail(tokens) {
     if (key === "note") parsed.note = value;
     else if (key === "owner") parsed.owner = value;
     else if (key === "room" || key === "roomid") parsed.roomId = value;
+    else if (key === "parent") parsed.parentId = value;
+    else if (key === "due") parsed.due = value;
+    else if (key === "priority") parsed.priority = value;
+    else if (key === "labels" || key === "label") parsed.labels = normalizeLabels(value);
+    else if (key === "assign" || key === "assignee" || key === "assignees") {
+      parsed.assignees = normalizeTaskIds(value);
+    }
+    else if (key === "depends" || key === "deps" || key === "dependson") {
+      parsed.dependsOn = normalizeTaskIds(value);
+    }
     else freeText.push(token);
   }
   if (!parsed.note && freeText.length > 0) parsed.note = freeText.join(" ");
   return parsed;
 }
 
+/**
+ * Resolve a `due=` value to an absolute timestamp. Durations count from `now`;
+ * a bare date means the end of that day. Returns 0 for empty, -1 if invalid.
+ */
+function resolveDueAt(value, now) {
+  const raw = asString(value);
+  if (!raw) return 0;
+  const durationMs = parseDuration(raw);
+  if (durationMs > 0) return now + durationMs;
+  const ts = parseDateInput(raw);
+  if (!ts) return -1;
+  return /^\d{4}-\d{2}-\d{2}$/.test(raw) ? ts + 86_400_000 - 1 : ts;
+}
+
+/**
+ * Assignees must be members of the room; returns a rejection result otherwise.
+ */
+function checkAssignees(room, assignees) {
+  const unknown = (assignees || []).filter((agentId) => !room.memberAgents.includes(agentId));
+  return unknown.length > 0 ? { ok: false, reason: "unknown_assignee", agents: unknown } : null;
+}
+
+/**
+ * Parse `/teamroom history` arguments: an optional bare room id plus
+ * since= (duration back from now, or date), agent=, status=, q=, limit=.
+ */
+function parseHistoryArgs(tokens, now) {
+  const parsed = { roomId: "", since: 0, agent: "", status: "", q: "", limit: 20 };
+  for (const token of tokens) {
+    const idx = token.indexOf("=");
+    if (idx <= 0) {
+      if (!parsed.roomId) parsed.roomId = token;
+      continue;
+    }
+    const key = asString(token.slice(0, idx)).toLowerCase();
+    const value = asString(token.slice(idx + 1));
+    if (!value) continue;
+    if (key === "room" || key === "roomid") parsed.roomId = value;
+    else if (key === "agent") parsed.agent = value;
+    else if (key === "status") parsed.status = value;
+    else if (key === "q") parsed.q = value;
+    else if (key === "limit") parsed.limit = Math.min(Math.max(Number(value) || 20, 1), 100);
+    else if (key === "since") {
+      const durationMs = parseDuration(value);
+      parsed.since = durationMs ? now - durationMs : parseDateInput(value) || 0;
+      if (!parsed.since) parsed.error = `invalid since: ${value} (use 7d|24h|YYYY-MM-DD)`;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * `/teamroom search` arguments: key=value filters (room, from, since,
+ * until, type, limit); a bare token naming a configured room selects it and
+ * the remaining bare tokens form the query.
+ */
+function parseSearchArgs(tokens, now, roomsById) {
+  const parsed = { query: "", roomId: "", sender: "", since: 0, until: 0, type: "", limit: 20 };
+  const words = [];
+  for (const token of tokens) {
+    const idx = token.indexOf("=");
+    if (idx <= 0) {
+      if (!parsed.roomId && roomsById[token]) parsed.roomId = token;
+      else words.push(token);
+      continue;
+    }
+    const key = asString(token.slice(0, idx)).toLowerCase();
+    const value = asString(token.slice(idx + 1));
+    if (!value) continue;
+    if (key === "room" || key === "roomid") parsed.roomId = value;
+    else if (key === "from" || key === "sender") parsed.sender = value;
+    else if (key === "type") parsed.type = value;
+    else if (key === "q") words.push(value);
+    else if (key === "limit") parsed.limit = Math.min(Math.max(Number(value) || 20, 1), 100);
+    else if (key === "since" || key === "until") {
+      const durationMs = parseDuration(value);
+      const ts = durationMs ? now - durationMs : parseDateInput(value) || 0;
+      if (!ts) parsed.error = `invalid ${key}: ${value} (use 7d|24h|YYYY-MM-DD)`;
+      parsed[key] = ts;
+    } else words.push(token);
+  }
+  parsed.query = words.join(" ");
+  return parsed;
+}
+
+function formatSearchHit(msg) {
+  const sender = msg.sourceAgent || msg.sender || "unknown";
+  const content = asString(msg.content).replace(/\s+/g, " ");
+  const text = content.length > 160 ? `${content.slice(0, 160)}…` : content;
+  return `- ${formatShortTime(msg.ts)} ${sender}: ${text} (${msg.id})`;
+}
+
+const HISTORY_TOOL_PARAMETERS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    roomId: {
+      type: "string",
+      description: "Room (group chat id). Defaults to the room of the current session."
+    },
+    since: {
+      type: "string",
+      description: "Only messages at or after this time: 30m/24h/7d, YYYY-MM-DD or ISO date-time."
+    },
+    until: {
+      type: "string",
+      description: "Only messages at or before this time, same formats as since."
+    },
+    sender: {
+      type: "string",
+      description: "Only messages from this sender (display name, agent id or sender id)."
+    },
+    aroundMessageId: {
+      type: "string",
+      description: "Return the messages around this message id (other filters are ignored)."
+    },
+    before: {
+      type: "string",
+      description: "Paging cursor: the nextBefore value of the previous call."
+    },
+    limit: {
+      type: "integer",
+      minimum: 1,
+      description: "Messages per page (default 20)."
+    }
+  }
+};
+
+/** Tool time parameter: relative duration, date, ISO date-time or epoch ms. */
+function parseToolTime(value, now) {
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? value : null;
+  const text = asString(value);
+  if (!text) return 0;
+  if (/^\d{12,}$/.test(text)) return Number(text);
+  const durationMs = parseDuration(text);
+  return durationMs ? now - durationMs : parseDateInput(text);
+}
+
+function formatToolMessage(msg) {
+  const sender = msg.sourceAgent || msg.sender || "unknown";
+  return `[${formatShortTime(msg.ts)} ${sender}] ${asString(msg.content)} (${msg.id})`;
+}
+
+function formatHistoryEntry(task) {
+  const duration = task.closedAt && task.createdAt ? formatDuration(task.closedAt - task.createdAt) : "-";
+  const participants = taskParticipants(task).join(",") || "-";
+  const movedTo = task.movedTo ? ` → ${task.movedTo}` : "";
+  const lines = [
+    `- ${task.taskId} [${task.status}]${movedTo} "${task.summary}" ${duration} · ${participants} · closed ${formatShortTime(task.closedAt) || "-"}`
+  ];
+  for (const [agentId, slot] of Object.entries(task.slots || {})) {
+    if (slot.lastNote) lines.push(`  ${agentId}: ${slot.lastNote}`);
+  }
+  return lines.join("\n");
+}
+
+function formatTaskTimeline(task, archived) {
+  const meta = [
+    `created=${formatShortTime(task.createdAt) || "-"}`,
+    `by=${task.createdBy || "unknown"}`,
+    task.owner ? `owner=${task.owner}` : "",
+    task.parentId ? `parent=${task.parentId}` : "",
+    task.dependsOn?.length ? `depends=${task.dependsOn.join(",")}` : "",
+    task.dueAt ? `due=${formatShortTime(task.dueAt)}` : "",
+    task.movedFrom?.roomId ? `movedFrom=${task.movedFrom.roomId}` : "",
+    task.movedTo ? `movedTo=${task.movedTo}` : "",
+    task.links?.length ? `links=${task.links.join(",")}` : "",
+    task.closedAt ? `closed=${formatShortTime(task.closedAt)}` : "",
+    task.closedAt && task.createdAt ? `duration=${formatDuration(task.closedAt - task.createdAt)}` : ""
+  ].filter(Boolean);
+  const lines = [
+    `[teamchat] task ${task.taskId} [${task.status}] "${task.summary}" (${archived ? "archived" : "active"})`,
+    meta.join(" ")
+  ];
+  for (const entry of task.globalHistory || []) {
+    lines.push(
+      `${formatShortTime(entry.at) || "-"} ${entry.actor || "unknown"} ${entry.status || "-"}${entry.note ? ` — ${entry.note}` : ""}`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Who a `/teamroom` command acts as: the sender's name, falling back to
+ * their ids, the calling agent, then "manual".
+ */
+function commandActor(ctx) {
+  return (
+    asString(ctx.senderName) ||
+    asString(ctx.senderId) ||
+    asString(ctx.userId) ||
+    asString(ctx.agentId) ||
+    "manual"
+  );
+}
+
 function resolveCommandRoomId(pluginConfig, ctx, explicitRoomId) {
   const roomId = asString(explicitRoomId);
   if (roomId) {
@@ -526,8 +905,13 @@ function resolveCommandRoomId(pluginConfig, ctx, explicitRoomId) {
   return { error: "room is required. Use room=<roomId> or run this command in target group." };
 }
 
+function lastHistoryEntry(task) {
+  const history = Array.isArray(task?.globalHistory) ? task.globalHistory : [];
+  return history[history.length - 1] || null;
+}
+
 function buildTaskMemorySummaryPrompt(params) {
-  const history = Array.isArray(params.task?.history) ? params.task.history : [];
+  const history = Array.isArray(params.task?.globalHistory) ? params.task.globalHistory : [];
   const historyText =
     history.length === 0
       ? "- (empty)"
@@ -546,7 +930,7 @@ function buildTaskMemorySummaryPrompt(params) {
     `room_id: ${params.roomId}`,
     `task_id: ${params.task?.taskId || "unknown"}`,
     `final_status: ${params.task?.status || "unknown"}`,
-    `owner: ${params.task?.owner || "unknown"}`,
+    `owner: ${params.task?.owner || params.task?.createdBy || "unknown"}`,
     "",
     "任务历史：",
     historyText,
@@ -578,18 +962,53 @@ function parseMemorySummary(text) {
   };
 }
 
+/**
+ * Prompt for extending a room's rolling summary with the next batch of
+ * messages that dropped out of injected context.
+ */
+function buildContextSummaryPrompt(params) {
+  const lines = params.messages.map((msg) => {
+    const content = asString(msg.content).replace(/\s+/g, " ");
+    const text = content.length > CONTEXT_SUMMARY_LINE_CHARS ? `${content.slice(0, CONTEXT_SUMMARY_LINE_CHARS)}…` : content;
+    return `- ${toPrettyTime(msg.ts)} ${msg.sourceAgent || msg.sender || "unknown"}: ${text}`;
+  });
+  return [
+    "你是群聊记录员，请把群消息合并进已有的滚动摘要，供成员 agent 快速了解更早的讨论。",
+    `保留决定、分工、待办和未解决的问题，省略寒暄；摘要不超过 ${params.maxChars} 字。`,
+    "只输出一段 JSON，不要其他文字。",
+    "",
+    `room_id: ${params.roomId}`,
+    "",
+    "已有摘要：",
+    params.previous || "(无)",
+    "",
+    `新消息（${params.messages.length} 条）：`,
+    ...lines,
+    "",
+    "输出 JSON：",
+    '{"summary":"<updated summary>"}'
+  ].join("\n");
+}
+
+function parseContextSummary(text) {
+  const payload = extractJsonPayload(text);
+  if (payload && typeof payload === "object") return asString(payload.summary);
+  return asString(text);
+}
+
 function buildTaskMemoryEntry(params) {
   const summary = params.summary;
   const task = params.task;
+  const last = lastHistoryEntry(task);
   const lines = [
     `## [teamroom-task] ${toPrettyTime(params.closedAt || Date.now())}`,
     `- room: ${params.roomId}`,
     `- task: ${task.taskId}`,
     `- status: ${task.status}`,
-    `- owner: ${task.owner || "unknown"}`,
-    `- actor: ${task.lastActor || "unknown"}`,
+    `- owner: ${task.owner || task.createdBy || "unknown"}`,
+    `- actor: ${last?.actor || "unknown"}`,
     `- closed_by: ${params.triggerActor || "unknown"}`,
-    `- note: ${task.lastNote || "-"}`,
+    `- note: ${last?.note || "-"}`,
     "",
     "### summary",
     summary.summary || "(empty)"
@@ -683,31 +1102,188 @@ async function runAutopilotDispatch(api, room, agentId, accountId, prompt, sessi
     return { ok: true, detail: "no-reply", replyText: "" };
   }
 
-  const sendArgv = [
-    baseCommand,
+  const sent = await sendRoomMessage(api, room, accountId, replyText, { command: baseCommand, timeoutMs });
+  if (!sent.ok) return { ...sent, replyText };
+  // Return replyText so caller can recordOutgoing for echo detection
+  return { ok: true, detail: "sent", replyText };
+}
+
+/**
+ * Run an `openclaw message <action>` against the room, optionally as a
+ * specific bot account. `args` come after the channel/target flags.
+ */
+async function runRoomMessageAction(api, room, accountId, action, args, options = {}) {
+  const argv = [
+    options.command || "openclaw",
     "message",
-    "send",
+    action,
     "--channel",
     room.channel,
     "--target",
     room.id,
-    "--message",
-    replyText
+    ...args
   ];
   if (accountId) {
-    sendArgv.push("--account", accountId);
+    argv.push("--account", accountId);
   }
-  const sendResult = await api.runtime.system.runCommandWithTimeout(sendArgv, { timeoutMs });
-  if (sendResult.code !== 0) {
-    const stderr = asString(sendResult.stderr);
+  let result;
+  try {
+    result = await api.runtime.system.runCommandWithTimeout(argv, {
+      timeoutMs: options.timeoutMs || 30_000
+    });
+  } catch (err) {
+    return { ok: false, detail: `message ${action} failed: ${String(err)}` };
+  }
+  if (result.code !== 0) {
+    const stderr = asString(result.stderr);
     return {
       ok: false,
-      detail: `message send exit=${sendResult.code}${stderr ? ` stderr=${stderr.slice(0, 180)}` : ""}`,
-      replyText
+      detail: `message ${action} exit=${result.code}${stderr ? ` stderr=${stderr.slice(0, 180)}` : ""}`
     };
   }
-  // Return replyText so caller can recordOutgoing for echo detection
-  return { ok: true, detail: "sent", replyText };
+  return { ok: true, detail: action === "send" ? "sent" : action, stdout: asString(result.stdout) };
+}
+
+/**
+ * Pull the platform message id out of `openclaw message send --json` output.
+ */
+function parseSentMessageId(stdout) {
+  const text = asString(stdout);
+  const start = text.indexOf("{");
+  if (start < 0) return "";
+  try {
+    const data = JSON.parse(text.slice(start));
+    return asString(data.messageId || data.message_id || data.result?.messageId || data.result?.message_id);
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Post a message into the room via `openclaw message send`, optionally as a
+ * specific bot account. With `options.json` the sent message id is returned.
+ */
+async function sendRoomMessage(api, room, accountId, text, options = {}) {
+  const args = ["--message", text];
+  if (options.json) args.push("--json");
+  const sent = await runRoomMessageAction(api, room, accountId, "send", args, options);
+  if (!sent.ok) return sent;
+  if (!options.json) return { ok: true, detail: "sent" };
+  return { ok: true, detail: "sent", messageId: parseSentMessageId(sent.stdout) };
+}
+
+/**
+ * Board summary kept in the room by protocol.boardMessage. `body` is compared
+ * against the last posted one so unchanged boards are not re-sent.
+ */
+function buildBoardMessage(body, now) {
+  return [`📌 任务看板（自动更新 ${formatShortTime(now)}）`, body].join("\n");
+}
+
+/**
+ * Room announcement for a task created from a template: the parent line and
+ * one line per subtask, mentioning assignees.
+ */
+function buildTemplateAnnouncement(room, template, result) {
+  const describe = (task) => {
+    const mentions = (task.assignees || [])
+      .map((agentId) => room.mentionAliases[agentId]?.[0] || `@${agentId}`)
+      .join(" ");
+    const due = task.dueAt ? ` 截止 ${formatShortTime(task.dueAt)}` : "";
+    const priority = task.priority && task.priority !== "p2" ? ` ${task.priority}` : "";
+    return `${task.taskId}${priority} "${task.summary}"${due}${mentions ? ` ${mentions}` : ""}`;
+  };
+  const lines = [`📋 新任务（模板 ${template.name}）：${describe(result.task)}`];
+  for (const child of result.children || []) lines.push(`└ ${describe(child)}`);
+  lines.push(`请相关成员用 ${room.protocol.signalPrefix} 信号认领并更新进度。`);
+  return lines.join("\n");
+}
+
+function formatWorkloadEntry(entry) {
+  const list = (ids) => (ids.length > 0 ? ` (${ids.join(", ")})` : "");
+  const wip = entry.limit ? `${entry.wip}/${entry.limit}` : String(entry.wip);
+  const avg = entry.done > 0 ? `${formatDuration(entry.avgCompletionMs)} over ${entry.done} done` : "-";
+  return `- ${entry.agentId}: open=${entry.open.length}${list(entry.open)} blocked=${entry.blocked.length}${list(entry.blocked)} wip=${wip} avgDone=${avg}`;
+}
+
+function formatMetricsEntry(label, stats) {
+  const leadTime = stats.closed > 0 ? formatDuration(stats.avgLeadTimeMs) : "-";
+  return `- ${label}: closed=${stats.closed} throughput=${stats.throughputPerDay.toFixed(1)}/d leadTime=${leadTime} blocked=${formatDuration(stats.blockedMs)} rework=${stats.reworkRounds}`;
+}
+
+/**
+ * Correction block for an agent whose recent task signals did not apply.
+ */
+function buildSignalFeedbackBlock(room, items) {
+  return [
+    "[task-signal-feedback]",
+    "你最近发送的任务信号没有生效，请按以下原因修正后重新发送：",
+    ...items.map((item) => `- ${item.text}`),
+    "有效格式：",
+    buildProtocolGuide(room),
+    "[/task-signal-feedback]"
+  ].join("\n");
+}
+
+function buildHandoffNotices(source, target, result, actor, note) {
+  const task = result.task;
+  const subtasks = result.subtasks.length > 0 ? `（含 ${result.subtasks.length} 个子任务）` : "";
+  const reason = note ? `：${note}` : "";
+  const mentions = taskParticipants(task)
+    .filter((agentId) => target.memberAgents.includes(agentId))
+    .map((agentId) => target.mentionAliases[agentId]?.[0] || `@${agentId}`)
+    .join(" ");
+  return {
+    source: `📦 任务已移交：${task.taskId} "${task.summary}"${subtasks} → 群 ${target.id}（${actor}）${reason}`,
+    target: [
+      `📦 收到移交任务：${task.taskId} [${task.status}] "${task.summary}"${subtasks}，来自群 ${source.id}（${actor}）${reason}`,
+      `请相关成员用 ${target.protocol.signalPrefix} 信号继续跟进。${mentions ? ` ${mentions}` : ""}`
+    ].join("\n")
+  };
+}
+
+function buildLeaseReleaseNotice(room, released, now) {
+  const lines = ["🔓 任务认领已过期，重新开放认领"];
+  for (const item of released) {
+    const held = item.claimedAt ? `，已认领 ${formatDuration(now - item.claimedAt)}` : "";
+    lines.push(`- ${item.taskId} "${item.summary}"：${item.agent} 的认领超时未更新${held}`);
+  }
+  lines.push(`发送 ${room.protocol.signalPrefix} id=<task_id> status=${CLAIM_STATUS} 认领。`);
+  return lines.join("\n");
+}
+
+/**
+ * Build the room reminder for SLA findings, grouped per task.
+ */
+function buildSlaReminder(room, findings, now) {
+  const byTask = new Map();
+  for (const finding of findings) {
+    const list = byTask.get(finding.taskId) || [];
+    list.push(finding);
+    byTask.set(finding.taskId, list);
+  }
+  const lines = ["⏰ 任务提醒"];
+  for (const [taskId, items] of byTask.entries()) {
+    const task = items[0].task;
+    const parts = [];
+    const mentions = [];
+    for (const item of items) {
+      if (item.kind === "overdue") {
+        parts.push(`已超过截止时间 ${formatShortTime(task.dueAt)}`);
+        const owner = asString(task.owner);
+        if (owner && room.memberAgents.includes(owner)) mentions.push(owner);
+      } else {
+        parts.push(`${item.agent} 已 ${formatDuration(now - item.since)} 无进展 (${item.status})`);
+        mentions.push(item.agent);
+      }
+    }
+    const mentionText = [...new Set(mentions)]
+      .map((agentId) => room.mentionAliases[agentId]?.[0] || `@${agentId}`)
+      .join(" ");
+    lines.push(`- ${taskId} "${task.summary}": ${parts.join("；")}${mentionText ? ` ${mentionText}` : ""}`);
+  }
+  lines.push("请更新进度（[task] 信号）或说明阻塞原因。");
+  return lines.join("\n");
 }
 
 export function createTeamChatRuntime(api, pluginConfig, state) {
@@ -716,13 +1292,43 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
     logger: api.logger,
     maxMessages: 500,
     cleanupTtlSeconds: 86400,
-    compactThreshold: 200
+    compactThreshold: 200,
+    segmentSize: 100
   });
+  // Pending protocol.boardMessage refreshes per room (throttle timers)
+  const boardMessageTimers = new Map();
+  // Queued protocol.contextSummary refreshes per room (promise chains)
+  const contextSummaryRuns = new Map();
   const taskBoard = new TaskBoard({
     logger: api.logger,
     maxActiveTasks: 10,
-    roundTracking: true
+    roundTracking: true,
+    onChange: (roomId) => scheduleBoardMessage(roomId)
   });
+  for (const error of pluginConfig.teamroom.contextBudget.errors) {
+    api.logger.warn(`[teamchat] context budget config: ${error}`);
+  }
+  for (const room of pluginConfig.teamroom.rooms) {
+    taskBoard.setWorkflow(room.id, room.protocol.workflow);
+    taskBoard.setReviewPolicy(room.id, room.protocol.review);
+    taskBoard.setWipPolicy(room.id, room.protocol.wip);
+    for (const error of [
+      ...room.protocol.workflow.errors,
+      ...room.protocol.review.errors,
+      ...room.protocol.wip.errors
+    ]) {
+      api.logger.warn(`[teamchat] workflow config room=${room.id}: ${error}`);
+    }
+    for (const error of room.taskTemplates.errors) {
+      api.logger.warn(`[teamchat] task template config room=${room.id}: ${error}`);
+    }
+    const migration = taskBoard.migrateLegacyTasks(room.id);
+    if (migration.migrated > 0) {
+      api.logger.info(
+        `[teamchat] migrated legacy tasks into board: room=${room.id} active=${migration.active} archived=${migration.archived}`
+      );
+    }
+  }
 
   function isSafeTeamroomSessionKey(sessionKey, room, targetAgent) {
     const key = asString(sessionKey).toLowerCase();
@@ -864,13 +1470,663 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
     );
   }
 
+  /**
+   * Queue a rolling-summary refresh for messages that left injected context
+   * (skipped over budget or compacted). Runs one at a time per room, so each
+   * run extends the summary the previous one stored.
+   */
+  function queueContextSummary(room, messages) {
+    const previous = contextSummaryRuns.get(room.id) || Promise.resolve();
+    const run = previous
+      .then(() => refreshContextSummary(room, messages))
+      .catch((err) => {
+        api.logger.warn(`[teamchat] context summary failed: room=${room.id} ${String(err)}`);
+        return null;
+      })
+      .finally(() => {
+        if (contextSummaryRuns.get(room.id) === run) contextSummaryRuns.delete(room.id);
+      });
+    contextSummaryRuns.set(room.id, run);
+    return run;
+  }
+
+  /**
+   * Fold `messages` into the room's summary, one agent run per batch of
+   * CONTEXT_SUMMARY_BATCH_CHARS, until every message past the stored
+   * coverage is in. Stops at the first failed run.
+   */
+  async function refreshContextSummary(room, messages) {
+    let current = messageCache.getSummary(room.id);
+    const pending = messages
+      .filter((msg) => msg.ts > (current?.coveredUntilTs || 0))
+      .sort((a, b) => a.ts - b.ts);
+    let start = 0;
+    while (start < pending.length) {
+      const batch = [];
+      let chars = 0;
+      for (const msg of pending.slice(start)) {
+        chars += Math.min(asString(msg.content).length, CONTEXT_SUMMARY_LINE_CHARS);
+        if (batch.length > 0 && chars > CONTEXT_SUMMARY_BATCH_CHARS) break;
+        batch.push(msg);
+      }
+      const next = await summarizeContextBatch(room, current, batch);
+      if (!next) {
+        api.logger.warn(
+          `[teamchat] context summary stopped: room=${room.id} unsummarized=${pending.length - start}`
+        );
+        return current;
+      }
+      current = next;
+      start += batch.length;
+    }
+    return current;
+  }
+
+  async function summarizeContextBatch(room, current, batch) {
+    const policy = room.protocol.contextSummary;
+    const taskMemory = room.protocol.taskMemory;
+    const summaryAgentId =
+      policy.summaryAgentId ||
+      asString(taskMemory.summaryAgentId) ||
+      asString(room.protocol.mainAgentId) ||
+      "main";
+    const prompt = buildContextSummaryPrompt({
+      roomId: room.id,
+      previous: current?.text || "",
+      messages: batch,
+      maxChars: policy.maxChars
+    });
+    const result = await runAgentJsonText(
+      taskMemory.command || "openclaw",
+      summaryAgentId,
+      prompt,
+      taskMemory.timeoutSeconds,
+      taskMemory.dryRun,
+      "context-summary"
+    );
+    if (!result.ok) {
+      api.logger.warn(`[teamchat] context summary failed: room=${room.id} detail=${result.detail}`);
+      return null;
+    }
+    const text = parseContextSummary(result.text).slice(0, policy.maxChars);
+    if (!text) return null;
+
+    const last = batch[batch.length - 1];
+    const summary = {
+      text,
+      count: (current?.count || 0) + batch.length,
+      coveredUntilTs: last.ts,
+      coveredUntilId: last.id,
+      updatedAt: Date.now()
+    };
+    if (!messageCache.setSummary(room.id, summary)) return null;
+    api.logger.info(`[teamchat] context summary updated: room=${room.id} messages=${summary.count} (+${batch.length})`);
+    return summary;
+  }
+
+  /** Wait for queued context summary refreshes (tests and shutdown). */
+  async function flushContextSummaries() {
+    while (contextSummaryRuns.size > 0) {
+      await Promise.all([...contextSummaryRuns.values()]);
+    }
+  }
+
   async function handleTaskSignalResult(room, result, triggerActor, timestamp) {
     if (!result?.ok) return;
-    if (result.closed) {
-      await maybeWriteTaskMemory(room, result.record, triggerActor, timestamp);
+    // Only archived tasks are final — finished subtasks close together with their root
+    const archived = [result.task, ...(result.released || [])].filter(
+      (task) => task?.closedAt && !taskBoard.getTask(room.id, task.taskId)
+    );
+    for (const task of archived) {
+      await maybeWriteTaskMemory(room, task, triggerActor, timestamp);
+    }
+    const toReview = [result.task, ...(result.released || [])].filter(
+      (task) => task?.status === AWAITING_REVIEW && task.review?.requestedAt === task.updatedAt
+    );
+    for (const task of toReview) {
+      await requestReview(room, task);
+    }
+  }
+
+  /**
+   * Ask the room's reviewer to look at a task that just entered
+   * awaiting_review, through the same `openclaw agent` dispatch autopilot uses.
+   */
+  async function requestReview(room, task) {
+    const policy = room.protocol.review;
+    const reviewer = policy.reviewerAgentId;
+    if (!policy.notify) return;
+    if (!room.memberAgents.includes(reviewer)) {
+      api.logger.warn(`[teamchat] review reviewer not in room: room=${room.id} reviewer=${reviewer}`);
+      return;
+    }
+    const marker = room.protocol.signalPrefix;
+    const work = Object.entries(task.slots || {})
+      .map(([agentId, slot]) => `- ${agentId}: ${slot.lastNote || "-"}`)
+      .join("\n");
+    const prompt = buildAutopilotPrompt({
+      roomId: room.id,
+      sender: "teamroom-review",
+      messageId: `review:${task.taskId}:${task.review.requestedAt}`,
+      content: [
+        `任务 ${task.taskId} "${task.summary}" 已完成，等待你审核。`,
+        work,
+        `审核通过：${marker} id=${task.taskId} status=${REVIEW_APPROVE} note=<结论>`,
+        `需要返工：${marker} id=${task.taskId} status=${REVIEW_REWORK} note=<返工要求>`
+      ].filter(Boolean).join("\n"),
+      protocolGuide: buildProtocolGuide(room),
+      extraPrompt: taskBoard.buildBoardContext(room.id, reviewer, slaOptions(room))
+    });
+    // Review requests share the room's per-cycle dispatch budget with autopilot
+    const dispatchBudget = state.tryConsumeDispatch(room.id, room, Date.now());
+    if (!dispatchBudget.ok) {
+      api.logger.warn(
+        `[teamchat] review request skipped: room=${room.id} task=${task.taskId} reviewer=${reviewer} dispatch limit reached (${dispatchBudget.maxDispatch})`
+      );
+      return;
+    }
+    const { sessionKey } = resolveAgentSessionKey(room, reviewer);
+    const result = await runAutopilotDispatch(
+      api,
+      room,
+      reviewer,
+      room.resolveAccountForAgent(reviewer),
+      prompt,
+      sessionKey
+    );
+    api.logger.info(
+      `[teamchat] review requested: room=${room.id} task=${task.taskId} reviewer=${reviewer} ok=${result.ok} detail=${result.detail}`
+    );
+    if (result.ok && result.replyText) {
+      state.recordOutgoing(room.id, asString(result.replyText), reviewer, Date.now());
     }
   }
 
+  /**
+   * Apply one parsed `[task]` signal to the room board.
+   * Unknown task ids are created on first non-terminal signal, then the
+   * actor's slot is written.
+   */
+  function applyTaskSignal(room, signal, actor) {
+    const workflow = room.protocol.workflow;
+    const status = asString(signal.status).toLowerCase();
+    const existing = taskBoard.getTask(room.id, signal.taskId);
+    const dueAt = resolveDueAt(signal.due, Date.now());
+    if (dueAt < 0) return { ok: false, reason: "invalid_due", value: signal.due };
+    if (signal.priority && !normalizePriority(signal.priority)) {
+      return { ok: false, reason: "invalid_priority", value: signal.priority };
+    }
+    const assigneeError = checkAssignees(room, signal.assignees);
+    if (assigneeError) return assigneeError;
+    if (status === CLAIM_STATUS && room.protocol.claim.enabled) {
+      return taskBoard.claimTask(room.id, {
+        taskId: signal.taskId,
+        actor,
+        note: asString(signal.note),
+        leaseMs: room.protocol.claim.leaseSeconds * 1000
+      });
+    }
+    if (status === REOPEN_STATUS) {
+      return reopenTask(room, signal.taskId, actor, asString(signal.note));
+    }
+    // A verdict needs a task to review
+    if (!existing && room.protocol.review.enabled && status === REVIEW_REWORK) {
+      return { ok: false, reason: "not_found", taskId: signal.taskId };
+    }
+    if (!existing && !isTerminalStatus(status, workflow)) {
+      // Reject before creating so an illegal first signal leaves no task behind
+      const transition = checkTransition(workflow, "", status);
+      if (!transition.ok) return { ...transition, taskId: signal.taskId, actor };
+      const wip = taskBoard.checkWipLimit(room.id, actor, status, signal.taskId);
+      if (!wip.ok) return { ...wip, taskId: signal.taskId, actor };
+      const created = taskBoard.createTask(room.id, {
+        taskId: signal.taskId,
+        summary: asString(signal.note) || "",
+        status,
+        createdBy: actor,
+        note: asString(signal.note),
+        dependsOn: signal.dependsOn,
+        parentId: signal.parentId,
+        dueAt,
+        priority: signal.priority,
+        labels: signal.labels,
+        links: signal.links,
+        assignees: signal.assignees
+      });
+      // Also write the actor's slot via updateTask so slot is populated
+      if (!created.ok || actor === "external") return created;
+    }
+    return taskBoard.updateTask(room.id, {
+      taskId: signal.taskId,
+      status,
+      actor,
+      note: asString(signal.note),
+      dependsOn: existing ? signal.dependsOn : undefined,
+      dueAt: existing && dueAt > 0 ? dueAt : undefined,
+      assignees: existing ? signal.assignees : undefined,
+      priority: existing ? signal.priority : undefined,
+      labels: existing ? signal.labels : undefined,
+      links: existing ? signal.links : undefined
+    });
+  }
+
+  /**
+   * Remember why a member's signal did not apply; it is shown in that
+   * agent's next beforeAgentStart context.
+   */
+  function queueSignalFeedback(room, agentId, text, now) {
+    if (!room.protocol.feedback.enabled || !agentId || !room.memberAgents.includes(agentId)) return;
+    state.addSignalFeedback(room.id, agentId, text, now || Date.now(), room.protocol.feedback.maxItems);
+  }
+
+  // Without prompt feedback (or when configured) corrections go to the room
+  function shouldPostSignalFeedback(room, agentId) {
+    const feedback = room.protocol.feedback;
+    return feedback.postToRoom || !feedback.enabled || !room.memberAgents.includes(agentId);
+  }
+
+  /**
+   * Restore an archived task to the room board and announce who reopened it.
+   */
+  function reopenTask(room, taskId, actor, note) {
+    const result = taskBoard.reopenTask(room.id, { taskId, actor, note });
+    if (!result.ok) return result;
+    api.logger.info(`[teamchat] task reopened: room=${room.id} task=${taskId} by=${actor}`);
+    const subtasks = result.tasks.length > 1 ? `（含 ${result.tasks.length - 1} 个子任务）` : "";
+    void postRoomNotice(
+      room,
+      `🔄 任务已重新打开：${taskId} [${result.task.status}] "${result.task.summary}"${subtasks}，由 ${actor} 重开${note ? `：${note}` : ""}`,
+      { tag: "reopen notice" }
+    );
+    return result;
+  }
+
+  /**
+   * Move a task to another room's board and announce it in both rooms.
+   */
+  function handoffTask(room, targetRoomId, taskId, actor, note) {
+    const target = pluginConfig.teamroom.roomsById[targetRoomId];
+    if (!target || !target.enabled) return { ok: false, reason: "room_not_found", roomId: targetRoomId };
+    const now = Date.now();
+    const result = taskBoard.moveTask(room.id, target.id, { taskId, actor, note, now });
+    if (!result.ok) return result;
+    api.logger.info(`[teamchat] task handed off: task=${taskId} from=${room.id} to=${target.id} by=${actor}`);
+    const notices = buildHandoffNotices(room, target, result, actor, note);
+    void postRoomNotice(room, notices.source, { tag: "handoff notice", now });
+    void postRoomNotice(target, notices.target, { tag: "handoff notice", now });
+    return result;
+  }
+
+  function slaOptions(room) {
+    return room.protocol.sla.enabled ? { staleMs: room.protocol.sla.staleSeconds * 1000 } : {};
+  }
+
+  /**
+   * Room context and board block for an agent's prompt, fitted into its
+   * token budget (teamroom.contextBudget) together with the fixed prompt
+   * `sections` ({ name: text }, e.g. guide / feedback). Fixed sections and
+   * the compact board (low-priority tasks capped) are reserved first;
+   * unread messages and the rolling summary fill the rest, newest first;
+   * the full board replaces the compact one when it still fits. cacheCtx is
+   * "" when nothing is unread.
+   */
+  function buildAgentContext(room, agentId, sections) {
+    const budget = pluginConfig.teamroom.contextBudget.agents[agentId] || pluginConfig.teamroom.contextBudget.maxTokens;
+    const fixed = {};
+    for (const [name, text] of Object.entries(sections)) fixed[name] = estimateTokens(text);
+    const fixedTokens = Object.values(fixed).reduce((sum, n) => sum + n, 0);
+    const boardOptions = { ...slaOptions(room), labels: room.agentLabels[agentId] };
+    const compactBoard = taskBoard.buildBoardContext(room.id, agentId, {
+      ...boardOptions,
+      lowPriority: room.protocol.priority.lowPriority,
+      maxLowPriority: room.protocol.priority.maxLowPriorityTasks
+    });
+    const wrapperTokens = contextWrapperTokens(room.id, [...Object.keys(fixed), "summary", "messages", "board"], budget);
+    const summarize = room.protocol.contextSummary.enabled;
+    const selection = messageCache.selectContext(room.id, agentId, {
+      maxMessages: pluginConfig.teamroom.contextMaxMessages,
+      maxTokens: Math.max(0, budget - fixedTokens - estimateTokens(compactBoard) - wrapperTokens),
+      summary: summarize,
+      onSkip: summarize ? (messages) => void queueContextSummary(room, messages) : undefined
+    });
+    const used = selection
+      ? fixedTokens + selection.tokens.summary + selection.tokens.messages + wrapperTokens
+      : fixedTokens;
+    const fullBoard = taskBoard.buildBoardContext(room.id, agentId, boardOptions);
+    const boardCtx = used + estimateTokens(fullBoard) <= budget ? fullBoard : compactBoard;
+    if (!selection) return { cacheCtx: "", boardCtx };
+    const parts = { ...fixed, ...selection.tokens, board: estimateTokens(boardCtx) };
+    return { cacheCtx: formatContextBlock(room.id, selection, { max: budget, parts }), boardCtx };
+  }
+
+  /**
+   * `/teamroom stats [room] [days=7]`: lead time, blocked time, rework rounds
+   * and throughput for the room and each agent over the last `days` days.
+   */
+  function statsCommand(ctx, tailTokens) {
+    let days = STATS_DEFAULT_DAYS;
+    let roomIdRaw = "";
+    for (const token of tailTokens) {
+      const idx = token.indexOf("=");
+      const key = idx > 0 ? token.slice(0, idx).toLowerCase() : "";
+      const value = idx > 0 ? token.slice(idx + 1) : token;
+      if (key === "days") {
+        days = Number(value);
+        if (!Number.isInteger(days) || days < 1 || days > STATS_MAX_DAYS) {
+          return { text: `[teamchat] invalid days: ${value} (use 1-${STATS_MAX_DAYS})` };
+        }
+      } else if (!key || key === "room" || key === "roomid") {
+        roomIdRaw = value;
+      }
+    }
+    const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, roomIdRaw);
+    if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+    const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+    const now = Date.now();
+    const since = now - days * 86_400_000;
+    const metrics = computeTaskMetrics(taskBoard.exportTasks(room.id, { since }), {
+      workflow: room.protocol.workflow,
+      agentIds: room.memberAgents,
+      since,
+      now
+    });
+    return {
+      text: [
+        `[teamchat] stats room=${room.id} days=${days} (since ${formatShortTime(since)})`,
+        formatMetricsEntry("room", metrics.room),
+        ...metrics.agents.map((stats) => formatMetricsEntry(stats.agentId, stats))
+      ].join("\n")
+    };
+  }
+
+  /**
+   * `/teamroom export tasks [room] [format=md|csv|json] [since=]`: render the
+   * room's active and archived tasks to a file under the data dir.
+   */
+  function exportTasksCommand(ctx, tailTokens) {
+    let format = "md";
+    const rest = [];
+    for (const token of tailTokens) {
+      const match = token.match(/^format=(.*)$/i);
+      if (match) format = asString(match[1]).toLowerCase();
+      else rest.push(token);
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return { text: `[teamchat] invalid format: ${format} (use ${EXPORT_FORMATS.join("|")})` };
+    }
+    const now = Date.now();
+    const filters = parseHistoryArgs(rest, now);
+    if (filters.error) return { text: `[teamchat] ${filters.error}` };
+    const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, filters.roomId);
+    if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+    const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+    const records = taskBoard.exportTasks(room.id, { since: filters.since });
+    const content = renderTaskExport(room.id, records, format, { since: filters.since, now });
+    const filePath = taskBoard.writeExport(room.id, format, content, now);
+    if (!filePath) return { text: `[teamchat] export failed room=${room.id}, see logs.` };
+    const lines = content.trimEnd().split("\n");
+    const preview = lines.slice(0, EXPORT_PREVIEW_LINES).map((line) => line.slice(0, 160));
+    if (lines.length > EXPORT_PREVIEW_LINES) preview.push(`… (${lines.length - EXPORT_PREVIEW_LINES} more lines)`);
+    return {
+      text: [
+        `[teamchat] exported room=${room.id} active=${records.active.length} archived=${records.archived.length} format=${format}`,
+        filePath,
+        "",
+        ...preview
+      ].join("\n")
+    };
+  }
+
+  /**
+   * `/teamroom task move <taskId> room=<target> [from=<source>] [note=]`
+   */
+  function moveTaskCommand(ctx, taskId, tailTokens) {
+    const tail = parseTaskTail(tailTokens);
+    const fromToken = tailTokens.find((token) => /^from=/i.test(token));
+    const targetRoomId = tail.roomId;
+    if (!taskId || !targetRoomId) {
+      return {
+        text: `[teamchat] usage: /${pluginConfig.command.name} task move <taskId> room=<targetRoomId> [from=<roomId>] [note=<text>]`
+      };
+    }
+    const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, fromToken ? fromToken.slice(5) : "");
+    if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+    const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+    const actor = commandActor(ctx);
+    const note = tailTokens.some((token) => /^note=/i.test(token)) ? tail.note : "";
+    const result = handoffTask(room, targetRoomId, taskId, actor, note);
+    if (!result.ok) {
+      return { text: `[teamchat] move rejected room=${room.id} task=${taskId}: ${describeTaskError(result)}` };
+    }
+    const subtasks = result.subtasks.length > 0 ? ` subtasks=${result.subtasks.map((t) => t.taskId).join(",")}` : "";
+    return {
+      text: `[teamchat] task moved task=${taskId} from=${room.id} to=${targetRoomId} status=${result.task.status}${subtasks}`
+    };
+  }
+
+  /**
+   * `/teamroom task reopen <taskId> [note=] [room=]`
+   */
+  function reopenTaskCommand(ctx, taskId, tailTokens) {
+    if (!taskId) {
+      return { text: `[teamchat] usage: /${pluginConfig.command.name} task reopen <taskId> [note=<text>] [room=<roomId>]` };
+    }
+    const tail = parseTaskTail(tailTokens);
+    const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, tail.roomId);
+    if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+    const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+    if (!room || !room.enabled) {
+      return { text: `[teamchat] room not available: ${resolvedRoom.roomId}` };
+    }
+    const actor = commandActor(ctx);
+    const result = reopenTask(room, taskId, actor, tail.note);
+    if (!result.ok) {
+      return { text: `[teamchat] reopen rejected room=${room.id} task=${taskId}: ${describeTaskError(result)}` };
+    }
+    const subtasks = result.tasks.length > 1 ? ` subtasks=${result.tasks.slice(0, -1).map((t) => t.taskId).join(",")}` : "";
+    return { text: `[teamchat] task reopened room=${room.id} task=${taskId} status=${result.task.status}${subtasks}` };
+  }
+
+  /**
+   * `/teamroom task from-template <template> <taskId>`: instantiate a room
+   * template on the board and announce it in the room.
+   */
+  function createTaskFromTemplate(ctx, templateName, taskId, tailTokens) {
+    if (!templateName || !taskId) {
+      return { text: `[teamchat] usage: /${pluginConfig.command.name} task from-template <template> <taskId> [room=<roomId>]` };
+    }
+    const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, parseTaskTail(tailTokens).roomId);
+    if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+    const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+    if (!room || !room.enabled) {
+      return { text: `[teamchat] room not available: ${resolvedRoom.roomId}` };
+    }
+    const template = room.taskTemplates.templates[templateName];
+    if (!template) {
+      const available = Object.keys(room.taskTemplates.templates).join("|") || "none";
+      return { text: `[teamchat] unknown template ${templateName} in room=${room.id} (available: ${available})` };
+    }
+
+    const actor = commandActor(ctx);
+    const now = Date.now();
+    const result = taskBoard.createFromTemplate(room.id, template, { taskId, createdBy: actor, now });
+    if (!result.ok) {
+      const failedId = result.taskId || taskId;
+      return {
+        text: `[teamchat] template rejected room=${room.id} task=${failedId}: ${describeTaskError(result)}${result.partial ? " (partially created)" : ""}`
+      };
+    }
+    void postRoomNotice(room, buildTemplateAnnouncement(room, template, result), { tag: "template notice", now });
+    const ids = [result.task.taskId, ...result.children.map((child) => child.taskId)];
+    return {
+      text: `[teamchat] task created from template ${template.name} room=${room.id}: ${ids.join(", ")}`
+    };
+  }
+
+  /**
+   * Post a plugin notice into the room as the main agent's account and record
+   * it as outgoing so the echo is not processed again.
+   */
+  async function postRoomNotice(room, text, options = {}) {
+    const tag = options.tag || "notice";
+    if (options.dryRun) {
+      api.logger.info(`[teamchat] ${tag} dry-run: room=${room.id}\n${text}`);
+      return { ok: true, detail: "dry-run" };
+    }
+    const mainAgentId = room.protocol.mainAgentId;
+    const sent = await sendRoomMessage(api, room, room.resolveAccountForAgent(mainAgentId), text, {
+      command: room.autopilot.command
+    });
+    if (!sent.ok) {
+      api.logger.warn(`[teamchat] ${tag} failed: room=${room.id} ${sent.detail}`);
+      return sent;
+    }
+    state.recordOutgoing(room.id, text, mainAgentId, options.now || Date.now());
+    return sent;
+  }
+
+  /**
+   * Queue a refresh of the room's board message. The first change starts the
+   * throttle window; later changes inside it ride along with that refresh.
+   */
+  function scheduleBoardMessage(roomId) {
+    const room = pluginConfig.teamroom.rooms.find((r) => r.id === roomId);
+    if (!room?.enabled || !room.protocol.boardMessage.enabled) return;
+    if (boardMessageTimers.has(roomId)) return;
+    const timer = setTimeout(() => {
+      boardMessageTimers.delete(roomId);
+      refreshBoardMessage(room).catch((err) =>
+        api.logger.warn(`[teamchat] board message failed: room=${room.id} ${String(err)}`)
+      );
+    }, room.protocol.boardMessage.throttleSeconds * 1000);
+    timer.unref?.();
+    boardMessageTimers.set(roomId, timer);
+  }
+
+  /**
+   * Bring the room's board message up to date: edit the stored message, or
+   * post (and pin) a new one when there is none or the edit is rejected.
+   */
+  async function refreshBoardMessage(room, now = Date.now()) {
+    const config = room.protocol.boardMessage;
+    const body = taskBoard.snapshot(room.id, { ...slaOptions(room), now });
+    const stored = taskBoard.getBoardMessage(room.id);
+    if (stored.body === body) return { roomId: room.id, ok: true, detail: "unchanged" };
+    const text = buildBoardMessage(body, now);
+    if (config.dryRun) {
+      api.logger.info(`[teamchat] board message dry-run: room=${room.id}\n${text}`);
+      return { roomId: room.id, ok: true, detail: "dry-run" };
+    }
+    const mainAgentId = room.protocol.mainAgentId;
+    const accountId = room.resolveAccountForAgent(mainAgentId);
+    const options = { command: room.autopilot.command };
+    if (stored.messageId) {
+      const edited = await runRoomMessageAction(
+        api,
+        room,
+        accountId,
+        "edit",
+        ["--message-id", stored.messageId, "--message", text],
+        options
+      );
+      if (edited.ok) {
+        state.recordOutgoing(room.id, text, mainAgentId, now);
+        taskBoard.setBoardMessage(room.id, { messageId: stored.messageId, body, updatedAt: now });
+        return { roomId: room.id, ok: true, detail: "edited", messageId: stored.messageId };
+      }
+      api.logger.warn(`[teamchat] board message edit failed, posting a new one: room=${room.id} ${edited.detail}`);
+    }
+    const sent = await sendRoomMessage(api, room, accountId, text, { ...options, json: true });
+    if (!sent.ok) {
+      api.logger.warn(`[teamchat] board message failed: room=${room.id} ${sent.detail}`);
+      return { roomId: room.id, ok: false, detail: sent.detail };
+    }
+    state.recordOutgoing(room.id, text, mainAgentId, now);
+    // Without an id the next refresh can only post again
+    taskBoard.setBoardMessage(room.id, { messageId: sent.messageId, body, updatedAt: now });
+    if (sent.messageId && config.pin) {
+      const pinned = await runRoomMessageAction(api, room, accountId, "pin", ["--message-id", sent.messageId], options);
+      if (!pinned.ok) api.logger.warn(`[teamchat] board message pin failed: room=${room.id} ${pinned.detail}`);
+    }
+    return { roomId: room.id, ok: true, detail: "sent", messageId: sent.messageId };
+  }
+
+  /** Run every pending board message refresh now instead of after its throttle. */
+  async function flushBoardMessages(now = Date.now()) {
+    const records = [];
+    for (const [roomId, timer] of [...boardMessageTimers]) {
+      clearTimeout(timer);
+      boardMessageTimers.delete(roomId);
+      const room = pluginConfig.teamroom.rooms.find((r) => r.id === roomId);
+      if (room) records.push(await refreshBoardMessage(room, now));
+    }
+    return records;
+  }
+
+  /**
+   * Sweep every room with SLA enabled: post one reminder per room for overdue
+   * tasks and stale slots, then remember them so the cooldown applies.
+   */
+  async function sweepTasks(now = Date.now()) {
+    const records = [];
+    for (const room of pluginConfig.teamroom.rooms) {
+      if (!room.enabled) continue;
+      if (room.protocol.claim.enabled) {
+        const released = taskBoard.releaseExpiredLeases(room.id, now);
+        if (released.length > 0) {
+          const text = buildLeaseReleaseNotice(room, released, now);
+          const sent = await postRoomNotice(room, text, { tag: "lease notice", now });
+          records.push({ roomId: room.id, ok: sent.ok, released: released.length, text });
+        }
+      }
+      if (!room.protocol.sla.enabled) continue;
+      const sla = room.protocol.sla;
+      const findings = taskBoard.findSlaViolations(room.id, {
+        now,
+        staleMs: sla.staleSeconds * 1000,
+        cooldownMs: sla.remindCooldownSeconds * 1000
+      });
+      if (findings.length === 0) continue;
+      const text = buildSlaReminder(room, findings, now);
+      const sent = await postRoomNotice(room, text, { dryRun: sla.dryRun, tag: "sla reminder", now });
+      if (!sent.ok) {
+        records.push({ roomId: room.id, ok: false, findings: findings.length });
+        continue;
+      }
+      taskBoard.markReminded(room.id, findings, now);
+      records.push({ roomId: room.id, ok: true, findings: findings.length, text });
+    }
+    return records;
+  }
+
+  let sweepTimer = null;
+
+  function startTaskSweeper() {
+    if (sweepTimer) return;
+    const intervals = [];
+    for (const room of pluginConfig.teamroom.rooms) {
+      if (!room.enabled) continue;
+      if (room.protocol.sla.enabled) intervals.push(room.protocol.sla.sweepIntervalSeconds);
+      // Expired leases are released within half a lease
+      if (room.protocol.claim.enabled) {
+        intervals.push(Math.min(room.protocol.sla.sweepIntervalSeconds, Math.ceil(room.protocol.claim.leaseSeconds / 2)));
+      }
+    }
+    if (intervals.length === 0) return;
+    sweepTimer = setInterval(() => {
+      sweepTasks().catch((err) => api.logger.warn(`[teamchat] sla sweep failed: ${String(err)}`));
+    }, Math.min(...intervals) * 1000);
+    sweepTimer.unref?.();
+  }
+
+  function stopTaskSweeper() {
+    for (const timer of boardMessageTimers.values()) clearTimeout(timer);
+    boardMessageTimers.clear();
+    if (!sweepTimer) return;
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
   function beforeToolCall(event, ctx) {
     if (asString(event.toolName) !== "message") return;
     const normalizedParams = normalizeMessageTargets(event.params);
@@ -1092,56 +2348,82 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
 
     // Periodic cleanup
     if (Math.random() < 0.1) {
-      messageCache.cleanup(roomId, room.memberAgents);
+      messageCache.cleanup(
+        roomId,
+        room.memberAgents,
+        room.protocol.contextSummary.enabled ? { onCompact: (messages) => void queueContextSummary(room, messages) } : {}
+      );
     }
 
-    const taskSignals = room.protocol.enabled
-      ? parseTaskSignals(content, room.protocol.signalPrefix)
-      : [];
+    const { signals: taskSignals, errors: signalErrors } = room.protocol.enabled
+      ? parseTaskSignals(content, room.protocol.signalPrefix, room.protocol.workflow)
+      : { signals: [], errors: [] };
+    if (signalErrors.length > 0) {
+      const sender = sourceAgent || "external";
+      api.logger.warn(`[teamchat] invalid task signal from=${sender} room=${room.id}: ${signalErrors.join("; ")}`);
+      for (const error of signalErrors) queueSignalFeedback(room, sourceAgent, error, timestamp);
+      if (shouldPostSignalFeedback(room, sourceAgent)) {
+        const mention = sourceAgent ? room.mentionAliases[sourceAgent]?.[0] || `@${sourceAgent}` : sender;
+        void postRoomNotice(
+          room,
+          [
+            `⚠️ ${mention} 任务信号未生效：`,
+            ...signalErrors.map((error) => `- ${error}`),
+            `格式示例：${room.protocol.signalPrefix} id=T-1 status=ack note=... 或：`,
+            "```task",
+            '{"id":"T-1","status":"ack","note":"..."}',
+            "```"
+          ].join("\n"),
+          { tag: "signal notice" }
+        );
+      }
+    }
     for (const signal of taskSignals) {
-      const result = state.applyTaskSignal(
-        room.id,
-        signal,
-        sourceAgent || "external",
-        timestamp
-      );
-      if (!result?.ok && result?.reason === "active_conflict") {
+      const actor = sourceAgent || "external";
+      const normalizedStatus = asString(signal.status).toLowerCase();
+      const result = applyTaskSignal(room, signal, actor);
+      if (!result.ok) {
         api.logger.warn(
-          `[teamchat] ignored task signal id=${signal.taskId} in room=${room.id} because active task is ${result.activeTaskId}.`
+          `[teamchat] rejected task signal id=${signal.taskId} in room=${room.id}: ${describeTaskError(result)}`
         );
+        const signalText = `${room.protocol.signalPrefix} id=${signal.taskId} status=${signal.status}`;
+        queueSignalFeedback(room, sourceAgent, `${signalText} → ${describeTaskError(result)}`, timestamp);
+        if (WORKFLOW_REJECTIONS.has(result.reason)) {
+          void postRoomNotice(
+            room,
+            `⚠️ 任务状态未更新：${signal.taskId} (${actor}) ${describeTaskError(result)}${
+              result.reason === "wip_limit" ? "\n请先完成、交接或标记阻塞手头的任务，再开始新任务。" : ""
+            }`,
+            { tag: "workflow notice" }
+          );
+        } else if (shouldPostSignalFeedback(room, sourceAgent)) {
+          void postRoomNotice(
+            room,
+            `⚠️ 任务信号未生效：${signalText} (${actor}) ${describeTaskError(result)}`,
+            { tag: "signal notice" }
+          );
+        }
         continue;
       }
-      await handleTaskSignalResult(room, result, sourceAgent || "external", timestamp);
-
-      // ─── v3: Sync task signal to TaskBoard (slots mode) ───
-      const actor = sourceAgent || "external";
-      const normalizedStatus = asString(signal.status).toLowerCase();
-      const existing = taskBoard.getTask(room.id, signal.taskId);
-      if (!existing && (normalizedStatus === "create" || normalizedStatus === "ack")) {
-        taskBoard.createTask(room.id, {
-          taskId: signal.taskId,
-          summary: asString(signal.note) || "",
-          status: normalizedStatus,
-          createdBy: actor,
-          note: asString(signal.note)
-        });
-        // Also write the actor's slot via updateTask so slot is populated
-        if (actor !== "external") {
-          taskBoard.updateTask(room.id, {
-            taskId: signal.taskId,
-            status: normalizedStatus,
-            actor,
-            note: asString(signal.note)
-          });
+      await handleTaskSignalResult(room, result, actor, timestamp);
+      if (signal.handoff) {
+        const handoff = handoffTask(room, signal.handoff, signal.taskId, actor, signal.note);
+        if (!handoff.ok) {
+          api.logger.warn(
+            `[teamchat] rejected task handoff id=${signal.taskId} in room=${room.id}: ${describeTaskError(handoff)}`
+          );
+          queueSignalFeedback(
+            room,
+            sourceAgent,
+            `handoff ${signal.taskId} → ${signal.handoff}: ${describeTaskError(handoff)}`,
+            timestamp
+          );
+          void postRoomNotice(
+            room,
+            `⚠️ 任务未移交：${signal.taskId} → ${signal.handoff} (${actor}) ${describeTaskError(handoff)}`,
+            { tag: "handoff notice" }
+          );
         }
-      } else {
-        // For all other statuses (or if task already exists), write into actor's slot
-        taskBoard.updateTask(room.id, {
-          taskId: signal.taskId,
-          status: normalizedStatus,
-          actor,
-          note: asString(signal.note)
-        });
       }
 
       // Write task update to message cache so other agents see it
@@ -1204,14 +2486,18 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
         const accountId = room.resolveAccountForAgent(targetAgent);
 
         // ─── v2: Build enriched prompt with cache context + task board ───
-        const cacheContext = messageCache.buildContextBlock(room.id, targetAgent, { maxMessages: pluginConfig.teamroom.contextMaxMessages, maxChars: pluginConfig.teamroom.contextMaxChars });
-        const boardContext = taskBoard.buildBoardContext(room.id, targetAgent);
-        const prompt = buildAutopilotPrompt({
+        const promptParams = {
           roomId: room.id,
           sender: senderLabel,
           messageId,
           content,
-          protocolGuide: room.protocol.enabled ? buildProtocolGuide(room) : "",
+          protocolGuide: room.protocol.enabled ? buildProtocolGuide(room) : ""
+        };
+        const { cacheCtx: cacheContext, boardCtx: boardContext } = buildAgentContext(room, targetAgent, {
+          guide: `${buildAutopilotPrompt(promptParams)}\n${room.autopilot.extraPrompt || ""}`
+        });
+        const prompt = buildAutopilotPrompt({
+          ...promptParams,
           extraPrompt: [
             cacheContext ? `\n最近群聊上下文：\n${cacheContext}` : "",
             boardContext ? `\n${boardContext}` : "",
@@ -1298,7 +2584,11 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
     const args = asString(ctx.args);
     const commandName = pluginConfig.command.name;
     if (!args || args === "status") {
-      const report = state.snapshot(pluginConfig.teamroom.rooms);
+      const taskCounts = {};
+      for (const room of pluginConfig.teamroom.rooms) {
+        taskCounts[room.id] = taskBoard.listActiveTasks(room.id).length;
+      }
+      const report = state.snapshot(pluginConfig.teamroom.rooms, taskCounts);
       // v2: add cache and board status
       const cacheLines = [];
       for (const room of pluginConfig.teamroom.rooms) {
@@ -1322,9 +2612,28 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
       const action = asString(tokens[1]).toLowerCase();
       const taskId = asString(tokens[2]);
       const statusRaw = asString(tokens[3]);
+      if (action === "show") {
+        if (!taskId) return { text: `[teamchat] taskId is required.` };
+        const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, parseTaskTail(tokens.slice(3)).roomId);
+        if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+        const found = taskBoard.findTask(resolvedRoom.roomId, taskId);
+        if (!found) {
+          return { text: `[teamchat] task not found room=${resolvedRoom.roomId} task=${taskId}` };
+        }
+        return { text: formatTaskTimeline(found.task, found.archived) };
+      }
+      if (action === "move") {
+        return moveTaskCommand(ctx, taskId, tokens.slice(3));
+      }
+      if (action === "reopen") {
+        return reopenTaskCommand(ctx, taskId, tokens.slice(3));
+      }
+      if (action === "from-template") {
+        return createTaskFromTemplate(ctx, asString(tokens[2]).toLowerCase(), asString(tokens[3]), tokens.slice(4));
+      }
       if (action !== "create" && action !== "update") {
         return {
-          text: `[teamchat] unknown task action.\nUse /${commandName} task create <taskId> [owner=<agentId>] [note=<text>] [room=<roomId>] | /${commandName} task update <taskId> <status> [owner=<agentId>] [note=<text>] [room=<roomId>]`
+          text: `[teamchat] unknown task action.\nUse /${commandName} task show <taskId> [room=<roomId>] | /${commandName} task from-template <template> <taskId> [room=<roomId>] | /${commandName} task move <taskId> room=<targetRoomId> [from=<roomId>] | /${commandName} task reopen <taskId> [note=<text>] [room=<roomId>] | /${commandName} task create <taskId> [owner=<agentId>] [assign=<agent,agent>] [priority=<p0-p3>] [labels=<a,b>] [parent=<taskId>] [depends=<id,id>] [due=<2h|YYYY-MM-DD>] [note=<text>] [room=<roomId>] | /${commandName} task update <taskId> <status> [owner=<agentId>] [assign=<agent,agent>] [priority=<p0-p3>] [labels=<a,b>] [due=<2h|YYYY-MM-DD>] [note=<text>] [room=<roomId>]`
         };
       }
       if (!taskId) {
@@ -1340,69 +2649,151 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
         return { text: `[teamchat] room not available: ${resolvedRoom.roomId}` };
       }
 
-      const actor =
-        asString(ctx.senderName) ||
-        asString(ctx.senderId) ||
-        asString(ctx.userId) ||
-        asString(ctx.agentId) ||
-        "manual";
+      const actor = commandActor(ctx);
+      const workflow = room.protocol.workflow;
       const status =
-        action === "create" ? "create" : normalizeManualTaskStatus(statusRaw);
-      if (!status) {
+        action === "create" ? workflow.initial : resolveStatus(statusRaw, workflow);
+      if (!workflow.statuses.includes(status)) {
+        return {
+          text: `[teamchat] invalid status: ${statusRaw || "(empty)"}.\nAllowed: ${workflow.statuses.join("|")}`
+        };
+      }
+
+      const dueAt = resolveDueAt(tail.due, Date.now());
+      if (dueAt < 0) {
+        return { text: `[teamchat] invalid due: ${tail.due} (use 30m|2h|1d|YYYY-MM-DD|ISO time)` };
+      }
+      if (tail.priority && !normalizePriority(tail.priority)) {
+        return {
+          text: `[teamchat] task rejected room=${room.id} task=${taskId}: ${describeTaskError({ reason: "invalid_priority", value: tail.priority })}`
+        };
+      }
+      const assigneeError = checkAssignees(room, tail.assignees);
+      if (assigneeError) {
         return {
-          text: `[teamchat] invalid status: ${statusRaw || "(empty)"}.\nAllowed: create|ack|in_progress|blocked|done|review_ok|rework`
+          text: `[teamchat] task rejected room=${room.id} task=${taskId}: ${describeTaskError(assigneeError)}`
         };
       }
 
-      const result = state.applyTaskSignal(
-        room.id,
-        {
+      let result;
+      if (action === "create") {
+        result = taskBoard.createTask(room.id, {
           taskId,
+          summary: tail.note,
           status,
+          createdBy: actor,
           note: tail.note,
-          owner: tail.owner
-        },
-        actor,
-        Date.now()
-      );
-      if (!result?.ok) {
-        if (result?.reason === "active_conflict") {
-          return {
-            text: `[teamchat] active task conflict in room=${room.id}. active=${result.activeTaskId}. Please update/close active task first.`
-          };
-        }
-        return { text: `[teamchat] failed to update task.` };
+          owner: tail.owner,
+          dependsOn: tail.dependsOn,
+          parentId: tail.parentId,
+          dueAt,
+          priority: tail.priority,
+          labels: tail.labels,
+          assignees: tail.assignees
+        });
+      } else {
+        result = taskBoard.updateTask(room.id, {
+          taskId,
+          status,
+          actor,
+          override: true,
+          note: tail.note,
+          owner: tail.owner,
+          dueAt: dueAt > 0 ? dueAt : undefined,
+          priority: tail.priority,
+          labels: tail.labels ?? undefined,
+          assignees: tail.assignees
+        });
       }
-      const record = result.record;
-      if (result.closed) {
-        void maybeWriteTaskMemory(room, record, actor, Date.now());
+      if (!result?.ok) {
+        return {
+          text: `[teamchat] task rejected room=${room.id} task=${taskId}: ${describeTaskError(result)}`
+        };
       }
+      void handleTaskSignalResult(room, result, actor, Date.now()).catch((err) => {
+        api.logger.warn(`[teamchat] task follow-up failed: room=${room.id} task=${taskId} ${String(err)}`);
+      });
+      const record = result.task;
       return {
-        text: `[teamchat] task updated room=${room.id} task=${record.taskId} status=${record.status} owner=${record.owner || "unknown"}${record.lastNote ? ` note=${record.lastNote}` : ""}${result.closed ? " closed=yes" : ""}`
+        text: `[teamchat] task updated room=${room.id} task=${record.taskId} status=${record.status} owner=${record.owner || "unknown"}${tail.priority ? ` priority=${record.priority}` : ""}${record.assignees?.length ? ` assign=${record.assignees.join(",")}` : ""}${record.labels?.length ? ` labels=${record.labels.join(",")}` : ""}${record.dueAt ? ` due=${formatShortTime(record.dueAt)}` : ""}${tail.note ? ` note=${tail.note}` : ""}${result.closed ? " closed=yes" : ""}`
       };
     }
     if (verb === "tasks") {
-      if (roomId && roomId !== "all" && !pluginConfig.teamroom.roomsById[roomId]) {
-        return { text: `[teamchat] room not found: ${roomId}` };
+      let boardRoomId = "";
+      let labels = [];
+      for (const token of tokens.slice(1)) {
+        const match = token.match(/^labels?=(.*)$/i);
+        if (match) labels = normalizeLabels(match[1]);
+        else if (!boardRoomId) boardRoomId = token;
+      }
+      if (boardRoomId && boardRoomId !== "all" && !pluginConfig.teamroom.roomsById[boardRoomId]) {
+        return { text: `[teamchat] room not found: ${boardRoomId}` };
       }
-      // v2: use TaskBoard alongside legacy state
-      const legacyReport = state.taskSnapshot(
-        pluginConfig.teamroom.rooms,
-        roomId === "all" ? "" : roomId
-      );
       const boardLines = [];
-      const selectedRooms = roomId && roomId !== "all"
-        ? pluginConfig.teamroom.rooms.filter((r) => r.id === roomId)
+      const selectedRooms = boardRoomId && boardRoomId !== "all"
+        ? pluginConfig.teamroom.rooms.filter((r) => r.id === boardRoomId)
         : pluginConfig.teamroom.rooms;
       for (const room of selectedRooms) {
-        boardLines.push(taskBoard.snapshot(room.id));
+        boardLines.push(taskBoard.snapshot(room.id, { ...slaOptions(room), labels }));
       }
       const boardReport = boardLines.filter(Boolean).join("\n");
+      return {
+        text: boardReport ? `[teamchat] tasks\n${boardReport}` : "[teamchat] no tasks."
+      };
+    }
+    if (verb === "history") {
+      const filters = parseHistoryArgs(tokens.slice(1), Date.now());
+      if (filters.error) return { text: `[teamchat] ${filters.error}` };
+      const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, filters.roomId);
+      if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+      const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+      const closed = taskBoard.listHistory(room.id, {
+        ...filters,
+        status: filters.status ? resolveStatus(filters.status, room.protocol.workflow) : ""
+      });
+      if (closed.length === 0) return { text: `[teamchat] no closed tasks room=${room.id}.` };
+      return {
+        text: [`[teamchat] history room=${room.id} (${closed.length})`, ...closed.map(formatHistoryEntry)].join("\n")
+      };
+    }
+    if (verb === "search") {
+      const filters = parseSearchArgs(tokens.slice(1), Date.now(), pluginConfig.teamroom.roomsById);
+      if (filters.error) return { text: `[teamchat] ${filters.error}` };
+      if (!filters.query) {
+        return { text: `[teamchat] usage: /${commandName} search <query> [roomId] [from=<agent>] [since=<1d|YYYY-MM-DD>]` };
+      }
+      const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, filters.roomId);
+      if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+      const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+      const hits = messageCache.search(room.id, filters.query, filters);
+      if (hits.length === 0) return { text: `[teamchat] no messages match "${filters.query}" room=${room.id}.` };
+      return {
+        text: [`[teamchat] search room=${room.id} q="${filters.query}" (${hits.length})`, ...hits.map(formatSearchHit)].join("\n")
+      };
+    }
+    if (verb === "stats") {
+      return statsCommand(ctx, tokens.slice(1));
+    }
+    if (verb === "export") {
+      if (asString(tokens[1]).toLowerCase() !== "tasks") {
+        return { text: `[teamchat] usage: /${commandName} export tasks [roomId] [format=md|csv|json] [since=<7d|YYYY-MM-DD>]` };
+      }
+      return exportTasksCommand(ctx, tokens.slice(2));
+    }
+    if (verb === "agents") {
+      const now = Date.now();
+      const filters = parseHistoryArgs(tokens.slice(1), now);
+      if (filters.error) return { text: `[teamchat] ${filters.error}` };
+      const resolvedRoom = resolveCommandRoomId(pluginConfig, ctx, filters.roomId);
+      if (resolvedRoom.error) return { text: `[teamchat] ${resolvedRoom.error}` };
+      const room = pluginConfig.teamroom.roomsById[resolvedRoom.roomId];
+      const since = filters.since || now - WORKLOAD_WINDOW_MS;
+      const workload = taskBoard.agentWorkload(room.id, room.memberAgents, { since });
       return {
         text: [
-          legacyReport ? `[teamchat] tasks (legacy)\n${legacyReport}` : "",
-          boardReport ? `[teamchat] tasks (v2 board)\n${boardReport}` : "[teamchat] no tasks."
-        ].filter(Boolean).join("\n\n")
+          `[teamchat] agents room=${room.id} (avgDone since ${formatShortTime(since)})`,
+          ...workload.map(formatWorkloadEntry)
+        ].join("\n")
       };
     }
     if (verb === "reset") {
@@ -1432,7 +2823,7 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
     }
 
     return {
-      text: `[teamchat] unknown subcommand.\nUse /${commandName} status | /${commandName} tasks [roomId|all] | /${commandName} task create <taskId> [owner=<agentId>] [note=<text>] [room=<roomId>] | /${commandName} task update <taskId> <status> [owner=<agentId>] [note=<text>] [room=<roomId>] | /${commandName} reset <roomId|all> | /${commandName} reset-watermark [roomId|all]`
+      text: `[teamchat] unknown subcommand.\nUse /${commandName} status | /${commandName} tasks [roomId|all] [label=<label>] | /${commandName} task show <taskId> [room=<roomId>] | /${commandName} task from-template <template> <taskId> [room=<roomId>] | /${commandName} task move <taskId> room=<targetRoomId> [from=<roomId>] | /${commandName} task reopen <taskId> [note=<text>] [room=<roomId>] | /${commandName} task create <taskId> [owner=<agentId>] [assign=<agent,agent>] [priority=<p0-p3>] [labels=<a,b>] [parent=<taskId>] [depends=<id,id>] [due=<2h|YYYY-MM-DD>] [note=<text>] [room=<roomId>] | /${commandName} task update <taskId> <status> [owner=<agentId>] [assign=<agent,agent>] [priority=<p0-p3>] [labels=<a,b>] [due=<2h|YYYY-MM-DD>] [note=<text>] [room=<roomId>] | /${commandName} history [roomId] [since=<7d|YYYY-MM-DD>] [agent=<agentId>] [status=<status>] [q=<text>] | /${commandName} agents [roomId] [since=<30d|YYYY-MM-DD>] | /${commandName} search <query> [roomId] [from=<agent>] [since=<1d|YYYY-MM-DD>] | /${commandName} stats [roomId] [days=<7>] | /${commandName} export tasks [roomId] [format=md|csv|json] [since=<7d|YYYY-MM-DD>] | /${commandName} reset <roomId|all> | /${commandName} reset-watermark [roomId|all]`
     };
   }
 
@@ -1462,17 +2853,21 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
       return;
     }
 
-    const cacheCtx = messageCache.buildContextBlock(room.id, agentId, {
-      maxMessages: pluginConfig.teamroom.contextMaxMessages,
-      maxChars: pluginConfig.teamroom.contextMaxChars
+    // Rejected signals are reported even when there is nothing new to read
+    const feedback = state.takeSignalFeedback(room.id, agentId);
+    const feedbackCtx = feedback.length > 0 ? buildSignalFeedbackBlock(room, feedback) : "";
+    // The feedback block already carries the protocol guide
+    const protocolGuide = room.protocol.enabled && !feedbackCtx ? buildProtocolGuide(room) : "";
+    const { cacheCtx, boardCtx } = buildAgentContext(room, agentId, {
+      guide: `${CONTEXT_INTRO}\n${protocolGuide}`,
+      feedback: feedbackCtx
     });
-    if (!cacheCtx) return;
+    if (!cacheCtx) return feedbackCtx ? { prependContext: feedbackCtx } : undefined;
 
-    const boardCtx = taskBoard.buildBoardContext(room.id, agentId);
-    const protocolGuide = room.protocol.enabled ? buildProtocolGuide(room) : "";
     const prependContext = [
-      "以下是最新的群聊记录，可作为参考：",
+      CONTEXT_INTRO,
       protocolGuide,
+      feedbackCtx,
       cacheCtx,
       boardCtx
     ].filter(Boolean).join("\n");
@@ -1482,12 +2877,92 @@ export function createTeamChatRuntime(api, pluginConfig, state) {
     return { prependContext };
   }
 
+  /**
+   * Factory for the `teamroom_history` tool, called per agent session. Agents
+   * that belong to no enabled room get no tool; the tool only reads rooms
+   * the calling agent is a member of.
+   */
+  function createHistoryTool(toolCtx) {
+    const agentId = asString(toolCtx?.agentId);
+    const memberRooms = () =>
+      pluginConfig.teamroom.rooms.filter((room) => room.enabled && room.memberAgents.includes(agentId));
+    if (agentId && memberRooms().length === 0) return null;
+
+    const historyConfig = pluginConfig.teamroom.historyTool;
+    const fail = (text) => ({ content: [{ type: "text", text: `[teamchat] ${text}` }], details: { ok: false } });
+
+    return {
+      name: "teamroom_history",
+      label: "Team room history",
+      description:
+        "Page through the cached message history of a team room you belong to. Filter by time range or sender, " +
+        "or fetch the messages around a message id. Pass nextBefore back as `before` to read older messages.",
+      parameters: HISTORY_TOOL_PARAMETERS,
+      async execute(_toolCallId, params = {}) {
+        if (!agentId) return fail("teamroom_history needs an agent session.");
+        const now = Date.now();
+        const rooms = memberRooms();
+        const requested =
+          asString(params.roomId) ||
+          parseRoomIdFromSessionKey(toolCtx?.sessionKey) ||
+          state.resolveAgentRoom(agentId, now) ||
+          (rooms.length === 1 ? rooms[0].id : "");
+        if (!requested) {
+          return fail(`roomId is required. Your rooms: ${rooms.map((room) => room.id).join(", ")}`);
+        }
+        const room = rooms.find((item) => item.id === requested);
+        if (!room) return fail(`agent ${agentId} is not a member of room ${requested}.`);
+
+        const since = parseToolTime(params.since, now);
+        const until = parseToolTime(params.until, now);
+        if (since === null) return fail(`invalid since: ${params.since} (use 24h|7d|YYYY-MM-DD)`);
+        if (until === null) return fail(`invalid until: ${params.until} (use 24h|7d|YYYY-MM-DD)`);
+        const limit = Math.min(Math.max(Number(params.limit) || 20, 1), historyConfig.maxLimit);
+
+        const page = messageCache.queryMessages(room.id, {
+          since,
+          until,
+          sender: params.sender,
+          aroundId: params.aroundMessageId,
+          beforeId: params.before,
+          limit
+        });
+        if (page.notFound) {
+          return fail(`message ${asString(params.aroundMessageId) || asString(params.before)} not found in room ${room.id}.`);
+        }
+        const header = `[teamroom-history room=${room.id} count=${page.messages.length} hasMore=${page.hasMore}${
+          page.nextBefore ? ` nextBefore=${page.nextBefore}` : ""
+        }]`;
+        const body = page.messages.length > 0 ? page.messages.map(formatToolMessage).join("\n") : "(no messages)";
+        api.logger.info(
+          `[teamchat] history tool: room=${room.id} agent=${agentId} count=${page.messages.length} hasMore=${page.hasMore}`
+        );
+        return {
+          content: [{ type: "text", text: `${header}\n${body}` }],
+          details: {
+            ok: true,
+            roomId: room.id,
+            count: page.messages.length,
+            hasMore: page.hasMore,
+            nextBefore: page.nextBefore
+          }
+        };
+      }
+    };
+  }
+
   return {
     beforeAgentStart,
     beforeToolCall,
     beforeMessageWrite,
     messageSending,
     messageReceived,
-    commandHandler
+    commandHandler,
+    createHistoryTool,
+    sweepTasks,
+    flushBoardMessages,
+    flushContextSummaries,
+    startTaskSweeper,
+    stopTaskSweeper
   };
 }
@@ -1,11 +1,9 @@
 import { asString, textHash } from "./utils.js";
 import {
   closeSync,
-  existsSync,
   openSync,
   mkdirSync,
   readFileSync,
-  readdirSync,
   renameSync,
   rmSync,
   statSync,
@@ -17,7 +15,6 @@ import { dirname, join } from "path";
 
 const DATA_DIR = join(homedir(), ".openclaw", "plugin-data", "agent-teamchat");
 const CYCLES_PATH = join(DATA_DIR, "cycles.json");
-const TASKS_ROOT = join(DATA_DIR, "tasks");
 const LOCKS_DIR = join(DATA_DIR, ".locks");
 const LOCK_STALE_MS = 10_000;
 const LOCK_WAIT_MS = 25;
@@ -114,28 +111,6 @@ function sanitizeFilePart(input) {
   return text || "task";
 }
 
-function tsKey(ts) {
-  const iso = new Date(Number(ts) || Date.now()).toISOString();
-  return iso.replace(/[:.]/g, "-");
-}
-
-function roomDir(roomId) {
-  return join(TASKS_ROOT, roomId);
-}
-
-function roomActivePath(roomId) {
-  return join(roomDir(roomId), "active.json");
-}
-
-function roomHistoryDir(roomId) {
-  return join(roomDir(roomId), "history");
-}
-
-function isTerminalStatus(status) {
-  const normalized = asString(status).toLowerCase();
-  return normalized === "done" || normalized === "review_ok";
-}
-
 function pruneSeen(entry, maxSize) {
   while (entry.order.length > maxSize) {
     const oldest = entry.order.shift();
@@ -151,34 +126,6 @@ function pruneOutgoing(list, ttlMs, now) {
   if (idx > 0) list.splice(0, idx);
 }
 
-function normalizeLoadedTask(record) {
-  const taskId = asString(record?.taskId);
-  const status = asString(record?.status).toLowerCase();
-  if (!taskId || !status) return null;
-  const createdAt = Number(record?.createdAt) || Date.now();
-  const updatedAt = Number(record?.updatedAt) || createdAt;
-  const historyRaw = Array.isArray(record?.history) ? record.history : [];
-  const history = historyRaw
-    .map((item) => ({
-      status: asString(item?.status).toLowerCase(),
-      actor: asString(item?.actor) || "unknown",
-      note: asString(item?.note),
-      at: Number(item?.at) || updatedAt
-    }))
-    .filter((item) => item.status);
-  return {
-    taskId,
-    status,
-    owner: asString(record?.owner),
-    lastActor: asString(record?.lastActor) || "unknown",
-    lastNote: asString(record?.lastNote),
-    createdAt,
-    updatedAt,
-    closedAt: Number(record?.closedAt) || 0,
-    history
-  };
-}
-
 export class TeamChatState {
   constructor(options = {}) {
     this.persistence = options.persistence !== false;
@@ -188,13 +135,10 @@ export class TeamChatState {
     this.outgoingByRoom = new Map();
     this.proactiveRelayByRoom = new Map();
     this.agentRoomContext = new Map();
-    this.activeTaskByRoom = new Map();
-    this.lastClosedTaskByRoom = new Map();
-    this.closedCountByRoom = new Map();
+    this.signalFeedback = new Map();
     this.lastAutopilot = [];
     if (this.persistence) {
       this.loadPersistedCycles();
-      this.loadPersistedTasks();
     }
   }
 
@@ -235,89 +179,6 @@ export class TeamChatState {
     );
   }
 
-  loadPersistedTasks() {
-    if (!existsSync(TASKS_ROOT)) return;
-    let roomEntries = [];
-    try {
-      roomEntries = readdirSync(TASKS_ROOT, { withFileTypes: true });
-    } catch {
-      roomEntries = [];
-    }
-    for (const entry of roomEntries) {
-      if (!entry.isDirectory()) continue;
-      const roomId = entry.name;
-      const activeRaw = loadJson(roomActivePath(roomId), null, this.logger);
-      const active = normalizeLoadedTask(activeRaw);
-      if (active && !active.closedAt) {
-        this.activeTaskByRoom.set(roomId, active);
-      }
-
-      const histDir = roomHistoryDir(roomId);
-      if (!existsSync(histDir)) continue;
-      let files = [];
-      try {
-        files = readdirSync(histDir).filter((name) => name.endsWith(".json")).sort();
-      } catch {
-        files = [];
-      }
-      if (files.length === 0) continue;
-      this.closedCountByRoom.set(roomId, files.length);
-      const last = loadJson(join(histDir, files[files.length - 1]), null, this.logger);
-      const lastClosed = normalizeLoadedTask(last);
-      if (lastClosed) this.lastClosedTaskByRoom.set(roomId, lastClosed);
-    }
-  }
-
-  persistActiveTask(roomId, task) {
-    if (!this.persistence) return;
-    const activePath = roomActivePath(roomId);
-    withFileLock(
-      `task-active-${roomId}`,
-      () => {
-        if (!task) {
-          try {
-            rmSync(activePath, { force: true });
-          } catch (err) {
-            logWarn(this.logger, `[teamchat] remove active task failed: ${activePath} err=${String(err)}`);
-          }
-          return;
-        }
-        writeJsonAtomic(activePath, task, this.logger);
-      },
-      this.logger
-    );
-  }
-
-  archiveTask(roomId, task) {
-    this.closedCountByRoom.set(roomId, (this.closedCountByRoom.get(roomId) || 0) + 1);
-    this.lastClosedTaskByRoom.set(roomId, task);
-    if (!this.persistence) return;
-    withFileLock(
-      `task-history-${roomId}`,
-      () => {
-        const dir = roomHistoryDir(roomId);
-        const file = `${tsKey(task.closedAt || Date.now())}-${sanitizeFilePart(task.taskId)}.json`;
-        writeJsonAtomic(join(dir, file), task, this.logger);
-      },
-      this.logger
-    );
-  }
-
-  getHistoryCount(roomId) {
-    if (!this.persistence) return this.closedCountByRoom.get(roomId) || 0;
-    const dir = roomHistoryDir(roomId);
-    if (!existsSync(dir)) return 0;
-    try {
-      return readdirSync(dir).filter((name) => name.endsWith(".json")).length;
-    } catch {
-      return 0;
-    }
-  }
-
-  getActiveTask(roomId) {
-    return this.activeTaskByRoom.get(roomId) || null;
-  }
-
   hasSeenMessage(roomId, key) {
     const room = this.seenByRoom.get(roomId);
     if (!room) return false;
@@ -516,111 +377,30 @@ export class TeamChatState {
     this.agentRoomContext.delete(agentId);
   }
 
-  applyTaskSignal(roomId, signal, actor, now) {
-    const taskId = asString(signal?.taskId);
-    const status = asString(signal?.status).toLowerCase();
-    const note = asString(signal?.note);
-    const owner = asString(signal?.owner);
-    const normalizedActor = asString(actor) || "external";
-    if (!roomId || !taskId || !status) {
-      return { ok: false, reason: "invalid" };
-    }
-
-    const active = this.getActiveTask(roomId);
-    if (!active) {
-      const created = {
-        taskId,
-        status,
-        owner: owner || (status === "create" || status === "ack" ? normalizedActor : ""),
-        lastActor: normalizedActor,
-        lastNote: note,
-        createdAt: now,
-        updatedAt: now,
-        closedAt: 0,
-        history: [{ status, actor: normalizedActor, note, at: now }]
-      };
-      if (isTerminalStatus(status)) {
-        created.closedAt = now;
-        this.archiveTask(roomId, created);
-        this.persistActiveTask(roomId, null);
-        return { ok: true, created: true, closed: true, record: created };
-      }
-      this.activeTaskByRoom.set(roomId, created);
-      this.persistActiveTask(roomId, created);
-      return { ok: true, created: true, closed: false, record: created };
-    }
-
-    if (active.taskId !== taskId) {
-      return {
-        ok: false,
-        reason: "active_conflict",
-        activeTaskId: active.taskId,
-        active
-      };
-    }
-
-    const history = Array.isArray(active.history) ? active.history.slice(-99) : [];
-    history.push({ status, actor: normalizedActor, note, at: now });
-    const next = {
-      ...active,
-      status,
-      owner: owner || active.owner || (status === "create" || status === "ack" ? normalizedActor : ""),
-      lastActor: normalizedActor,
-      lastNote: note,
-      updatedAt: now,
-      history
-    };
-
-    if (isTerminalStatus(status)) {
-      next.closedAt = now;
-      this.archiveTask(roomId, next);
-      this.activeTaskByRoom.delete(roomId);
-      this.persistActiveTask(roomId, null);
-      return { ok: true, updated: true, closed: true, record: next };
-    }
-
-    this.activeTaskByRoom.set(roomId, next);
-    this.persistActiveTask(roomId, next);
-    return { ok: true, updated: true, closed: false, record: next };
-  }
-
-  listTasks(roomId) {
-    const active = this.getActiveTask(roomId);
-    return active ? [active] : [];
+  /**
+   * Queue a note about a rejected task signal for the agent's next run
+   * (newest `maxItems` kept).
+   */
+  addSignalFeedback(roomId, agentId, text, now, maxItems = 5) {
+    if (!roomId || !agentId || !text) return;
+    const key = `${roomId}:${agentId}`;
+    const list = this.signalFeedback.get(key) || [];
+    list.push({ text, ts: now });
+    this.signalFeedback.set(key, list.slice(-Math.max(1, maxItems)));
   }
 
-  taskSnapshot(rooms, roomId) {
-    const selected = roomId ? rooms.filter((room) => room.id === roomId) : rooms;
-    const lines = [];
-    for (const room of selected) {
-      const active = this.getActiveTask(room.id);
-      const closedCount = this.getHistoryCount(room.id);
-      const lastClosed = this.lastClosedTaskByRoom.get(room.id);
-      if (!active) {
-        if (lastClosed) {
-          lines.push(
-            `- ${room.id}: active=none closed=${closedCount} lastClosed=${lastClosed.taskId}:${lastClosed.status}`
-          );
-        } else {
-          lines.push(`- ${room.id}: active=none closed=${closedCount}`);
-        }
-        continue;
-      }
-      const owner = asString(active.owner) || "unknown";
-      const actor = asString(active.lastActor) || "unknown";
-      const note = asString(active.lastNote);
-      lines.push(
-        `- ${room.id}: active=${active.taskId} status=${active.status} owner=${owner} actor=${actor} closed=${closedCount}${note ? ` note=${note}` : ""}`
-      );
-    }
-    return lines.join("\n");
+  takeSignalFeedback(roomId, agentId) {
+    const key = `${roomId}:${agentId}`;
+    const list = this.signalFeedback.get(key) || [];
+    this.signalFeedback.delete(key);
+    return list;
   }
 
-  snapshot(rooms) {
+  snapshot(rooms, taskCounts = {}) {
     const lines = [];
     for (const room of rooms) {
       const cycle = this.cycles.get(room.id);
-      const taskCount = this.getActiveTask(room.id) ? 1 : 0;
+      const taskCount = taskCounts[room.id] || 0;
       if (!cycle) {
         lines.push(
           `- ${room.id}: turns=0/${room.maxTurnsPerCycle}, dispatch=0/${room.autopilot.maxDispatchPerCycle ?? room.maxTurnsPerCycle}, tasks=${taskCount}`
@@ -1,4 +1,14 @@
-import { asString } from "./utils.js";
+import { asString, formatDuration, formatShortTime, uniqueStrings } from "./utils.js";
+import {
+  AWAITING_REVIEW,
+  CLAIM_STATUS,
+  DEFAULT_WORKFLOW,
+  REOPEN_STATUS,
+  REVIEW_APPROVE,
+  REVIEW_REWORK,
+  checkTransition,
+  isTerminalStatus
+} from "./workflow.js";
 import {
   closeSync,
   existsSync,
@@ -17,6 +27,8 @@ import { homedir } from "os";
 
 const DATA_DIR = join(homedir(), ".openclaw", "plugin-data", "agent-teamchat");
 const ROOMS_DIR = join(DATA_DIR, "rooms");
+// Retired single-active-task store (tasks/<room>/active.json + history/)
+const LEGACY_TASKS_DIR = join(DATA_DIR, "tasks");
 const LOCK_STALE_MS = 10_000;
 const LOCK_WAIT_MS = 25;
 const LOCK_RETRIES = 40;
@@ -88,10 +100,26 @@ function taskFilePath(roomId, taskId) {
   return join(activeDir(roomId), `${sanitizeTaskId(taskId)}.json`);
 }
 
+function boardMessagePath(roomId) {
+  return join(roomTasksDir(roomId), "board-message.json");
+}
+
+function exportDir(roomId) {
+  return join(ROOMS_DIR, sanitizeRoomId(roomId), "exports");
+}
+
 function taskLockPath(roomId) {
   return join(roomTasksDir(roomId), ".task.lock");
 }
 
+function legacyRoomDir(roomId) {
+  return join(LEGACY_TASKS_DIR, asString(roomId));
+}
+
+function legacyMarkerPath(roomId) {
+  return join(roomTasksDir(roomId), "legacy-migrated.json");
+}
+
 function readJsonSafe(filePath, fallback, logger) {
   try {
     const raw = readFileSync(filePath, "utf8");
@@ -120,28 +148,135 @@ function tsKey(ts) {
   return new Date(Number(ts) || Date.now()).toISOString().replace(/[:.]/g, "-");
 }
 
-const TERMINAL_STATUSES = new Set(["done", "review_ok"]);
+// History files are named `${tsKey}-${sanitizedTaskId}.json`
+const HISTORY_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-(.+)\.json$/;
+
+function historyFileTaskId(file) {
+  return file.match(HISTORY_FILE_PATTERN)?.[1] || "";
+}
+
+/**
+ * Normalize a task id list: accepts an array or a comma-separated string.
+ */
+export function normalizeTaskIds(value) {
+  const list = Array.isArray(value) ? value : asString(value).split(",");
+  return uniqueStrings(list);
+}
+
+/**
+ * Normalize labels from an array or a comma-separated string (lower-cased).
+ */
+export function normalizeLabels(value) {
+  return normalizeTaskIds(value).map((label) => label.replace(/^#/, "").toLowerCase()).filter(Boolean);
+}
+
+function labelsLabel(task) {
+  return (task.labels || []).map((label) => ` #${label}`).join("");
+}
+
+function hasAnyLabel(task, labels) {
+  return (task.labels || []).some((label) => labels.includes(label));
+}
+
+const PRIORITIES = ["p0", "p1", "p2", "p3"];
+const DEFAULT_PRIORITY = "p2";
+
+/**
+ * Normalize a priority ("p0".."p3", "P1" or "1"); "" if invalid.
+ */
+export function normalizePriority(value) {
+  const raw = asString(value).toLowerCase();
+  const priority = /^[0-3]$/.test(raw) ? `p${raw}` : raw;
+  return PRIORITIES.includes(priority) ? priority : "";
+}
+
+function priorityRank(task) {
+  const rank = PRIORITIES.indexOf(normalizePriority(task.priority));
+  return rank >= 0 ? rank : PRIORITIES.indexOf(DEFAULT_PRIORITY);
+}
+
+function involvesAgent(task, agentId) {
+  return Boolean(task.slots?.[agentId]) || (task.assignees || []).includes(agentId) || task.owner === agentId;
+}
 
-function isTerminal(status) {
-  return TERMINAL_STATUSES.has(asString(status).toLowerCase());
+function priorityLabel(task) {
+  const priority = normalizePriority(task.priority);
+  return priority && priority !== DEFAULT_PRIORITY ? ` ${priority}` : "";
+}
+
+// Slot pre-created for an assigned agent that has not signalled yet
+const PENDING_STATUS = "pending";
+
+function isTerminal(status, workflow = DEFAULT_WORKFLOW) {
+  return isTerminalStatus(status, workflow);
+}
+
+function pendingSlot() {
+  return { status: PENDING_STATUS, rounds: 0, lastNote: "", lastAt: 0, history: [] };
 }
 
 /**
- * Derive overall task status from slots.
+ * Add a pending slot for every assignee that has none yet.
+ */
+function withAssignedSlots(slots, assignees) {
+  const next = { ...(slots || {}) };
+  for (const agent of assignees) {
+    if (!next[agent]) next[agent] = pendingSlot();
+  }
+  return next;
+}
+
+/**
+ * Derive overall task status from slots and subtasks under a room workflow.
  * Rules:
- * - all slots done/review_ok → done
- * - any slot blocked → blocked
- * - any slot in_progress → in_progress
- * - otherwise → ack
+ * - any dependency still open → waiting
+ * - all slots and subtasks terminal → first terminal status (done)
+ * - any slot or subtask in a blocked status → that status
+ * - otherwise → the furthest open status in workflow order; the initial
+ *   status while only pending (assigned, not yet started) slots remain
+ */
+function deriveTaskStatus(slots, openDependencies = [], childStatuses = [], workflow = DEFAULT_WORKFLOW) {
+  if (openDependencies.length > 0) return "waiting";
+  const statuses = [
+    ...Object.values(slots || {}).map((s) => asString(s.status).toLowerCase()),
+    ...childStatuses
+  ];
+  if (statuses.length === 0) return workflow.initial;
+  if (statuses.every((s) => isTerminal(s, workflow))) return workflow.terminal[0];
+  const blocked = statuses.find((s) => workflow.blocked.includes(s));
+  if (blocked) return blocked;
+  let furthest = -1;
+  for (const status of statuses) {
+    if (isTerminal(status, workflow)) continue;
+    furthest = Math.max(furthest, workflow.statuses.indexOf(status));
+  }
+  return furthest >= 0 ? workflow.statuses[furthest] : workflow.initial;
+}
+
+/**
+ * Slots of a reopened task: terminal slots go back to the last open status
+ * in their history (the workflow's initial status when there is none).
  */
-function deriveTaskStatus(slots) {
-  const entries = Object.values(slots || {});
-  if (entries.length === 0) return "create";
-  const statuses = entries.map((s) => asString(s.status).toLowerCase());
-  if (statuses.every((s) => s === "done" || s === "review_ok")) return "done";
-  if (statuses.some((s) => s === "blocked")) return "blocked";
-  if (statuses.some((s) => s === "in_progress")) return "in_progress";
-  return "ack";
+function reopenSlots(slots, workflow, actor, note, now) {
+  const next = {};
+  for (const [agentId, slot] of Object.entries(slots || {})) {
+    if (!isTerminal(slot.status, workflow)) {
+      next[agentId] = slot;
+      continue;
+    }
+    const previous = [...(slot.history || [])]
+      .reverse()
+      .find((entry) => workflow.statuses.includes(entry.status) && !isTerminal(entry.status, workflow));
+    const status = previous?.status || workflow.initial;
+    next[agentId] = {
+      ...slot,
+      status,
+      lastNote: note || slot.lastNote,
+      lastAt: now,
+      history: [...(slot.history || []).slice(-19), { status, note, at: now, by: actor }]
+    };
+  }
+  return next;
 }
 
 /**
@@ -176,6 +311,196 @@ function migrateLegacyTask(task) {
   };
 }
 
+/**
+ * Convert a record from the retired single-active-task state into a board task.
+ */
+function fromLegacyStateRecord(record) {
+  const migrated = migrateLegacyTask(record);
+  const history = migrated.globalHistory;
+  const createdAt = Number(record.createdAt) || history[0]?.at || Date.now();
+  return {
+    taskId: asString(record.taskId),
+    summary: asString(record.summary) || asString(history[0]?.note),
+    status: asString(record.status).toLowerCase() || "ack",
+    owner: asString(record.owner),
+    createdBy: asString(record.createdBy) || asString(history[0]?.actor) || "unknown",
+    createdAt,
+    updatedAt: Number(record.updatedAt) || createdAt,
+    closedAt: Number(record.closedAt) || 0,
+    parentId: "",
+    children: [],
+    dependsOn: [],
+    slots: migrated.slots,
+    globalHistory: history
+  };
+}
+
+/**
+ * Collect SLA findings for an open task: past its due time, or slots with no
+ * progress for longer than `staleMs`. Each finding has a stable key used for
+ * reminder cooldowns.
+ */
+function slaFindings(task, now, staleMs, workflow) {
+  const out = [];
+  if (isTerminal(task.status, workflow)) return out;
+  if (task.dueAt && now > task.dueAt) {
+    out.push({ kind: "overdue", key: "overdue", agent: "", since: task.dueAt });
+  }
+  if (staleMs > 0) {
+    for (const [agent, slot] of Object.entries(task.slots || {})) {
+      const lastAt = Number(slot.lastAt) || 0;
+      if (isTerminal(slot.status, workflow) || !lastAt || now - lastAt <= staleMs) continue;
+      out.push({ kind: "stale", key: `stale:${agent}`, agent, since: lastAt, status: slot.status });
+    }
+  }
+  return out;
+}
+
+function dueLabel(task, now, workflow) {
+  if (!task.dueAt) return "";
+  if (!isTerminal(task.status, workflow) && now > task.dueAt) {
+    return ` ⏰ overdue (due ${formatShortTime(task.dueAt)})`;
+  }
+  return ` due=${formatShortTime(task.dueAt)}`;
+}
+
+function activeLease(task, now) {
+  const lease = task.lease;
+  return lease?.agent && Number(lease.expiresAt) > now ? lease : null;
+}
+
+/**
+ * Drop the lease holder's unfinished slot (assigned holders fall back to pending).
+ */
+function releaseLeaseSlot(task, slots, workflow) {
+  const agent = task.lease?.agent;
+  const slot = agent ? slots[agent] : null;
+  if (!slot || isTerminal(slot.status, workflow)) return;
+  if ((task.assignees || []).includes(agent)) slots[agent] = pendingSlot();
+  else delete slots[agent];
+}
+
+function leaseLabel(task, now) {
+  const lease = activeLease(task, now);
+  return lease ? ` 🔒 ${lease.agent} 认领至 ${formatShortTime(lease.expiresAt)}` : "";
+}
+
+function reworkLabel(slot) {
+  return slot.reworkCount ? ` ↺返工${slot.reworkCount}次` : "";
+}
+
+function staleLabel(slot, now, staleMs, workflow) {
+  const lastAt = Number(slot.lastAt) || 0;
+  if (!staleMs || isTerminal(slot.status, workflow) || !lastAt || now - lastAt <= staleMs) return "";
+  return ` ⚠️ stale ${formatDuration(now - lastAt)}`;
+}
+
+/**
+ * Agents that worked on a task: slot holders plus anyone in its timeline.
+ */
+export function taskParticipants(task) {
+  return uniqueStrings([
+    ...Object.keys(task.slots || {}),
+    ...(task.globalHistory || []).map((h) => h.actor).filter((actor) => actor !== "system")
+  ]);
+}
+
+function matchesHistoryFilters(task, filters) {
+  if (filters.since && (Number(task.closedAt) || 0) < filters.since) return false;
+  if (filters.status && asString(task.status).toLowerCase() !== filters.status) return false;
+  if (filters.agent && !taskParticipants(task).includes(filters.agent)) return false;
+  if (filters.q) {
+    const haystack = [
+      task.taskId,
+      task.summary,
+      ...Object.values(task.slots || {}).map((slot) => slot.lastNote),
+      ...(task.globalHistory || []).map((h) => h.note)
+    ]
+      .map((part) => asString(part).toLowerCase())
+      .join("\n");
+    if (!haystack.includes(filters.q)) return false;
+  }
+  return true;
+}
+
+/**
+ * Order tasks as a parent/child tree (depth-first, roots by creation time).
+ * Subtasks whose parent is no longer active are shown as roots.
+ */
+function flattenTaskTree(tasks) {
+  const tasksById = new Map(tasks.map((t) => [t.taskId, t]));
+  const out = [];
+  // Siblings keep the order of `tasks` (priority, then age)
+  const visit = (task, depth) => {
+    out.push({ task, depth });
+    const childIds = new Set(task.children || []);
+    for (const child of tasks) {
+      if (childIds.has(child.taskId) && child.parentId === task.taskId) visit(child, depth + 1);
+    }
+  };
+  for (const task of tasks) {
+    if (!task.parentId || !tasksById.has(task.parentId)) visit(task, 0);
+  }
+  return out;
+}
+
+function isDescendant(task, rootId, tasks) {
+  const byId = new Map(tasks.map((t) => [t.taskId, t]));
+  const seen = new Set();
+  let parentId = task.parentId;
+  while (parentId && !seen.has(parentId)) {
+    if (parentId === rootId) return true;
+    seen.add(parentId);
+    parentId = byId.get(parentId)?.parentId;
+  }
+  return false;
+}
+
+/**
+ * Walk upstream from a task through still-active dependencies.
+ * Returns the open tasks in breadth-first order (nearest first).
+ */
+function dependencyChain(task, tasksById, workflow) {
+  const chain = [];
+  const seen = new Set([task.taskId]);
+  let frontier = task.dependsOn || [];
+  while (frontier.length > 0) {
+    const next = [];
+    for (const depId of frontier) {
+      if (seen.has(depId)) continue;
+      seen.add(depId);
+      const dep = tasksById.get(depId);
+      if (!dep || isTerminal(dep.status, workflow)) continue; // closed
+      chain.push(dep);
+      next.push(...(dep.dependsOn || []));
+    }
+    frontier = next;
+  }
+  return chain;
+}
+
+/**
+ * Find a path from any of `dependsOn` back to `taskId` in the dependency graph.
+ * Returns the cycle as a list of task ids, or null when the graph stays acyclic.
+ */
+function findDependencyCycle(taskId, dependsOn, tasksById) {
+  const visit = (currentId, path) => {
+    if (currentId === taskId) return [...path, currentId];
+    if (path.includes(currentId)) return null;
+    const deps = tasksById.get(currentId)?.dependsOn || [];
+    for (const depId of deps) {
+      const found = visit(depId, [...path, currentId]);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const depId of dependsOn) {
+    const found = visit(depId, [taskId]);
+    if (found) return found;
+  }
+  return null;
+}
+
 // ─── TaskBoard class ───
 
 export class TaskBoard {
@@ -183,6 +508,69 @@ export class TaskBoard {
     this.logger = options.logger || null;
     this.maxActiveTasks = options.maxActiveTasks || 10;
     this.roundTracking = options.roundTracking !== false;
+    // Called with the room id after every board write (see protocol.boardMessage)
+    this.onChange = typeof options.onChange === "function" ? options.onChange : null;
+    this.workflows = new Map();
+    this.reviewPolicies = new Map();
+    this.wipPolicies = new Map();
+  }
+
+  /**
+   * Use a room-specific status workflow (see workflow.js); rooms without one
+   * use the built-in statuses.
+   */
+  setWorkflow(roomId, workflow) {
+    if (roomId && workflow) this.workflows.set(roomId, workflow);
+  }
+
+  workflowFor(roomId) {
+    return this.workflows.get(roomId) || DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * Hold finished tasks in awaiting_review until `policy.reviewerAgentId`
+   * answers with review_ok or rework.
+   */
+  setReviewPolicy(roomId, policy) {
+    if (roomId && policy) this.reviewPolicies.set(roomId, policy);
+  }
+
+  reviewPolicyFor(roomId) {
+    const policy = this.reviewPolicies.get(roomId);
+    return policy?.enabled ? policy : null;
+  }
+
+  /**
+   * Cap how many slots each agent may hold in the policy's WIP statuses.
+   */
+  setWipPolicy(roomId, policy) {
+    if (roomId && policy) this.wipPolicies.set(roomId, policy);
+  }
+
+  /** WIP limit for an agent in a room; 0 = unlimited. */
+  wipLimitFor(roomId, agentId) {
+    const policy = this.wipPolicies.get(roomId);
+    if (!policy || policy.statuses.length === 0) return 0;
+    return policy.agents[agentId] ?? policy.maxPerAgent;
+  }
+
+  /**
+   * Check whether `agentId` may move its slot on `taskId` into `status`.
+   * Only entering a WIP status counts; moving between WIP statuses on the
+   * same task is always allowed.
+   */
+  checkWipLimit(roomId, agentId, status, taskId) {
+    const limit = this.wipLimitFor(roomId, agentId);
+    const statuses = this.wipPolicies.get(roomId)?.statuses || [];
+    if (!limit || !statuses.includes(status)) return { ok: true };
+    const tasks = this.listActiveTasks(roomId);
+    const current = tasks.find((t) => t.taskId === taskId);
+    if (statuses.includes(current?.slots?.[agentId]?.status)) return { ok: true };
+    const holding = tasks
+      .filter((t) => t.taskId !== taskId && statuses.includes(t.slots?.[agentId]?.status))
+      .map((t) => t.taskId);
+    if (holding.length < limit) return { ok: true };
+    return { ok: false, reason: "wip_limit", agent: agentId, limit, tasks: holding, statuses };
   }
 
   _ensureDirs(roomId) {
@@ -197,6 +585,32 @@ export class TaskBoard {
   _saveBoard(roomId, board) {
     board.updatedAt = Date.now();
     writeJsonAtomic(boardPath(roomId), board, this.logger);
+    if (!this.onChange) return;
+    try {
+      this.onChange(roomId);
+    } catch (err) {
+      if (this.logger) this.logger.warn(`[teamchat] board change hook failed: ${String(err)}`);
+    }
+  }
+
+  /**
+   * The room message that mirrors this board: `{messageId, body, updatedAt}`.
+   * An empty messageId means the next refresh posts a new message.
+   */
+  getBoardMessage(roomId) {
+    return readJsonSafe(boardMessagePath(roomId), { messageId: "", body: "", updatedAt: 0 }, this.logger);
+  }
+
+  setBoardMessage(roomId, record) {
+    return writeJsonAtomic(
+      boardMessagePath(roomId),
+      {
+        messageId: asString(record.messageId),
+        body: asString(record.body),
+        updatedAt: Number(record.updatedAt) || Date.now()
+      },
+      this.logger
+    );
   }
 
   getTask(roomId, taskId) {
@@ -214,7 +628,9 @@ export class TaskBoard {
         const raw = readJsonSafe(join(dir, file), null, this.logger);
         if (raw && raw.taskId) tasks.push(migrateLegacyTask(raw));
       }
-      return tasks.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      return tasks.sort(
+        (a, b) => priorityRank(a) - priorityRank(b) || (a.createdAt || 0) - (b.createdAt || 0)
+      );
     } catch {
       return [];
     }
@@ -229,9 +645,11 @@ export class TaskBoard {
     let result = null;
 
     withFileLock(lp, () => {
+      const workflow = this.workflowFor(roomId);
       const activeTasks = this.listActiveTasks(roomId);
-      if (activeTasks.length >= this.maxActiveTasks) {
-        result = { ok: false, reason: "max_active_reached", count: activeTasks.length };
+      const openCount = activeTasks.filter((t) => !isTerminal(t.status, workflow)).length;
+      if (openCount >= this.maxActiveTasks) {
+        result = { ok: false, reason: "max_active_reached", count: openCount };
         return;
       }
 
@@ -241,47 +659,138 @@ export class TaskBoard {
         return;
       }
 
+      const parentId = asString(params.parentId);
+      const parent = parentId ? activeTasks.find((t) => t.taskId === parentId) : null;
+      if (parentId && (!parent || isTerminal(parent.status, workflow))) {
+        result = { ok: false, reason: "parent_not_found", taskId, parentId };
+        return;
+      }
+
+      const dependsOn = normalizeTaskIds(params.dependsOn);
+      const depCheck = this.checkDependencies(roomId, taskId, dependsOn, activeTasks);
+      if (!depCheck.ok) {
+        result = depCheck;
+        return;
+      }
+      const openDependencies = dependsOn.filter((id) =>
+        activeTasks.some((t) => t.taskId === id && !isTerminal(t.status, workflow))
+      );
+
       const now = Date.now();
       const actor = asString(params.createdBy) || "unknown";
-      const initialStatus = asString(params.status) || "create";
+      const initialStatus =
+        openDependencies.length > 0 ? "waiting" : asString(params.status) || workflow.initial;
 
-      // Slots start empty — agents populate their own slot when they signal
-      const slots = {};
+      // Assigned agents get pending slots up front; everyone else populates
+      // their own slot when they signal
+      const assignees = normalizeTaskIds(params.assignees);
+      const slots = withAssignedSlots({}, assignees);
 
       const task = {
         taskId,
         summary: asString(params.summary) || "",
         status: initialStatus,
+        owner: asString(params.owner),
         createdBy: actor,
         createdAt: now,
         updatedAt: now,
         closedAt: 0,
+        dueAt: Number(params.dueAt) || 0,
+        priority: normalizePriority(params.priority) || DEFAULT_PRIORITY,
+        labels: uniqueStrings(normalizeLabels(params.labels)),
+        links: uniqueStrings(normalizeTaskIds(params.links)),
+        parentId,
+        children: [],
+        dependsOn,
+        assignees,
         slots,
         globalHistory: [
           { actor, status: initialStatus, note: asString(params.note) || "", at: now }
         ]
       };
 
-      writeJsonAtomic(taskFilePath(roomId, taskId), task, this.logger);
+      this._saveTask(roomId, task);
 
-      const board = this.getBoard(roomId);
-      board.tasks[taskId] = { status: task.status, summary: task.summary };
-      this._saveBoard(roomId, board);
+      // Attach to parent and roll its status up
+      let released = [];
+      if (parent) {
+        const nextParent = { ...parent, children: [...(parent.children || []), taskId] };
+        this._saveTask(roomId, nextParent);
+        released = this._rederive(roomId, nextParent, now, `subtask ${taskId} created`);
+      }
 
-      result = { ok: true, created: true, task };
+      result = { ok: true, created: true, task, released };
     }, this.logger);
 
     return result || { ok: false, reason: "lock_failed" };
   }
 
+  /**
+   * Instantiate a room task template: the parent task plus one subtask per
+   * template subtask (`<taskId>.<key>`). Due offsets count from `params.now`;
+   * subtasks inherit the template's labels and priority. Capacity and id
+   * collisions are checked up front so a template is not half-created.
+   */
+  createFromTemplate(roomId, template, params) {
+    const taskId = asString(params.taskId);
+    if (!roomId || !taskId || !template) return { ok: false, reason: "invalid" };
+    const now = Number(params.now) || Date.now();
+    const createdBy = asString(params.createdBy) || "unknown";
+    const workflow = this.workflowFor(roomId);
+    const subtasks = template.subtasks || [];
+
+    for (const id of [taskId, ...subtasks.map((sub) => `${taskId}.${sub.key}`)]) {
+      const existing = this.getTask(roomId, id);
+      if (existing) return { ok: false, reason: "already_exists", taskId: id, task: existing };
+    }
+    const openCount = this.listActiveTasks(roomId).filter((t) => !isTerminal(t.status, workflow)).length;
+    if (openCount + 1 + subtasks.length > this.maxActiveTasks) {
+      return { ok: false, reason: "max_active_reached", count: openCount };
+    }
+
+    const note = `from template ${template.name}`;
+    const parent = this.createTask(roomId, {
+      taskId,
+      summary: template.summary,
+      createdBy,
+      note,
+      dueAt: template.dueMs ? now + template.dueMs : 0,
+      priority: template.priority,
+      labels: template.labels,
+      assignees: template.assignees
+    });
+    if (!parent.ok) return parent;
+
+    const children = [];
+    for (const sub of subtasks) {
+      const child = this.createTask(roomId, {
+        taskId: `${taskId}.${sub.key}`,
+        summary: sub.summary,
+        createdBy,
+        note,
+        parentId: taskId,
+        dueAt: sub.dueMs ? now + sub.dueMs : 0,
+        priority: sub.priority || template.priority,
+        labels: uniqueStrings([...template.labels, ...sub.labels]),
+        assignees: sub.assignees
+      });
+      if (!child.ok) return { ...child, partial: true, task: parent.task, children };
+      children.push(child.task);
+    }
+    return { ok: true, created: true, task: this.getTask(roomId, taskId) || parent.task, children };
+  }
+
   /**
    * Update a task — writes into the actor's slot.
    * actor: the agent id sending the signal (e.g. "builder", "researcher")
+   * override: an operator update (e.g. `/teamroom task update`) — the status
+   * is also written into every agent's slot, so the task takes it directly
    */
   updateTask(roomId, params) {
     const taskId = asString(params.taskId);
     const status = asString(params.status).toLowerCase();
     const actor = asString(params.actor) || "unknown";
+    const override = params.override === true;
     if (!roomId || !taskId || !status) return { ok: false, reason: "invalid" };
 
     this._ensureDirs(roomId);
@@ -297,104 +806,928 @@ export class TaskBoard {
 
       const now = Date.now();
       const note = asString(params.note) || "";
+      const policy = this.reviewPolicyFor(roomId);
+      const isReview = policy && (status === REVIEW_APPROVE || status === REVIEW_REWORK);
 
-      // Update actor's slot
+      if (isReview) {
+        const reviewCheck = this._checkReview(task, policy, actor);
+        if (!reviewCheck.ok) {
+          result = { ...reviewCheck, taskId, actor };
+          return;
+        }
+      } else {
+        // Enforce the room workflow on the actor's own slot (an override on the task's status)
+        const from = override ? task.status : task.slots?.[actor]?.status;
+        const transition = checkTransition(this.workflowFor(roomId), from, status);
+        if (!transition.ok) {
+          result = { ...transition, taskId, actor };
+          return;
+        }
+        // Operators are not agents: WIP limits and leases do not apply to an override
+        const wip = override ? { ok: true } : this.checkWipLimit(roomId, actor, status, taskId);
+        if (!wip.ok) {
+          result = { ...wip, taskId, actor };
+          return;
+        }
+        // A claimed task only takes signals from the holder and agents already on it
+        const lease = override ? null : activeLease(task, now);
+        if (lease && lease.agent !== actor && !task.slots?.[actor]) {
+          result = { ok: false, reason: "claimed_by_other", taskId, actor, holder: lease.agent, expiresAt: lease.expiresAt };
+          return;
+        }
+      }
+
+      // Update actor's slot; the reviewer's verdict lands on the task instead
       const slots = task.slots || {};
-      if (!slots[actor]) {
-        slots[actor] = { status, rounds: 1, lastNote: note, lastAt: now, history: [] };
+      let review = task.review;
+      if (isReview) {
+        review = this._applyReview(roomId, task, slots, status, actor, note, now);
       } else {
-        slots[actor].rounds = (slots[actor].rounds || 0) + 1;
-        slots[actor].status = status;
-        slots[actor].lastNote = note;
-        slots[actor].lastAt = now;
+        // An override carries the status into every other agent's slot as well
+        for (const [agentId, slot] of Object.entries(override ? slots : {})) {
+          if (agentId === actor) continue;
+          slot.status = status;
+          slot.lastNote = note;
+          slot.lastAt = now;
+          slot.history = [...(slot.history || []).slice(-19), { status, note, at: now, by: actor }];
+        }
+        if (!slots[actor]) {
+          slots[actor] = { status, rounds: 1, lastNote: note, lastAt: now, history: [] };
+        } else {
+          slots[actor].rounds = (slots[actor].rounds || 0) + 1;
+          slots[actor].status = status;
+          slots[actor].lastNote = note;
+          slots[actor].lastAt = now;
+        }
+        slots[actor].history = (slots[actor].history || []).slice(-19);
+        slots[actor].history.push({ status, note, at: now });
       }
-      slots[actor].history = (slots[actor].history || []).slice(-19);
-      slots[actor].history.push({ status, note, at: now });
 
       // Append to globalHistory
       const globalHistory = (task.globalHistory || []).slice(-99);
       globalHistory.push({ actor, status, note, at: now });
 
-      // Derive overall task status from all slots
-      const derivedStatus = deriveTaskStatus(slots);
+      // Re-declared dependencies replace the previous list
+      let dependsOn = task.dependsOn || [];
+      if (params.dependsOn != null) {
+        dependsOn = normalizeTaskIds(params.dependsOn);
+        const depCheck = this.checkDependencies(roomId, taskId, dependsOn);
+        if (!depCheck.ok) {
+          result = depCheck;
+          return;
+        }
+      }
+
+      // Newly assigned agents are added; existing assignments stay
+      const assignees = uniqueStrings([
+        ...(task.assignees || []),
+        ...normalizeTaskIds(params.assignees)
+      ]);
+
+      // Progress from the holder renews its lease; finishing gives it up
+      let lease = task.lease || null;
+      if (lease && lease.agent === actor && !isReview) {
+        lease = isTerminal(status, this.workflowFor(roomId))
+          ? null
+          : { ...lease, renewedAt: now, expiresAt: now + (Number(lease.leaseMs) || 0) };
+      }
+      if (override && isTerminal(status, this.workflowFor(roomId))) lease = null;
 
       const next = {
         ...task,
-        slots,
+        owner: asString(params.owner) || asString(task.owner),
+        dueAt: params.dueAt != null ? Number(params.dueAt) || 0 : Number(task.dueAt) || 0,
+        priority: normalizePriority(params.priority) || task.priority || DEFAULT_PRIORITY,
+        // Re-declared labels replace the previous set
+        labels: params.labels != null ? uniqueStrings(normalizeLabels(params.labels)) : task.labels || [],
+        links: uniqueStrings([...(task.links || []), ...normalizeTaskIds(params.links)]),
+        dependsOn,
+        assignees,
+        slots: withAssignedSlots(slots, assignees),
+        review,
+        lease,
         globalHistory,
-        status: derivedStatus,
         updatedAt: now
       };
+      // Derive overall task status from slots, dependencies and subtasks
+      next.status = this._deriveStatus(roomId, next);
+      this._markReviewRequest(next, task.status, now);
+
+      const released = this._settleTask(roomId, next, now);
+      result = {
+        ok: true,
+        updated: true,
+        closed: isTerminal(next.status, this.workflowFor(roomId)),
+        archived: !this.getTask(roomId, taskId),
+        task: next,
+        released,
+        reviewRequested: next.status === AWAITING_REVIEW && task.status !== AWAITING_REVIEW
+      };
+    }, this.logger);
 
-      // Handle terminal
-      if (isTerminal(derivedStatus)) {
-        next.closedAt = now;
-        const histFile = `${tsKey(now)}-${sanitizeTaskId(taskId)}.json`;
-        writeJsonAtomic(join(historyDir(roomId), histFile), next, this.logger);
-        try { rmSync(taskFilePath(roomId, taskId), { force: true }); } catch {}
-        const board = this.getBoard(roomId);
-        delete board.tasks[taskId];
-        this._saveBoard(roomId, board);
-        result = { ok: true, updated: true, closed: true, task: next };
+    return result || { ok: false, reason: "lock_failed" };
+  }
+
+  /**
+   * Take (or renew) an exclusive lease on a task for `params.leaseMs`. The
+   * claimer gets a pending slot; while the lease runs, other agents without a
+   * slot cannot signal on the task. Rejected with the current holder when
+   * someone else holds the lease or is already working on the task.
+   */
+  claimTask(roomId, params) {
+    const taskId = asString(params.taskId);
+    const actor = asString(params.actor) || "unknown";
+    const leaseMs = Number(params.leaseMs) || 0;
+    if (!roomId || !taskId || leaseMs <= 0) return { ok: false, reason: "invalid" };
+
+    this._ensureDirs(roomId);
+    let result = null;
+    withFileLock(taskLockPath(roomId), () => {
+      const task = this.getTask(roomId, taskId);
+      if (!task) {
+        result = { ok: false, reason: "not_found", taskId };
+        return;
+      }
+      const workflow = this.workflowFor(roomId);
+      const now = Number(params.now) || Date.now();
+      if (isTerminal(task.status, workflow) || task.status === AWAITING_REVIEW) {
+        result = { ok: false, reason: "not_claimable", taskId, status: task.status };
+        return;
+      }
+      const lease = activeLease(task, now);
+      // Slots still at the initial status (e.g. the creator's) do not hold the task
+      const worker = Object.entries(task.slots || {}).find(
+        ([agentId, slot]) =>
+          agentId !== actor &&
+          slot.status !== PENDING_STATUS &&
+          slot.status !== workflow.initial &&
+          !isTerminal(slot.status, workflow)
+      )?.[0];
+      const holder = lease && lease.agent !== actor ? lease.agent : worker;
+      if (holder) {
+        result = { ok: false, reason: "already_claimed", taskId, actor, holder, expiresAt: lease?.expiresAt || 0 };
         return;
       }
 
-      writeJsonAtomic(taskFilePath(roomId, taskId), next, this.logger);
-      const board = this.getBoard(roomId);
-      board.tasks[taskId] = { status: next.status, summary: next.summary };
-      this._saveBoard(roomId, board);
+      const renewed = lease?.agent === actor;
+      const note = asString(params.note) || "";
+      const slots = { ...(task.slots || {}) };
+      // Taking over a lapsed lease frees the previous holder's slot
+      if (task.lease?.agent && task.lease.agent !== actor) releaseLeaseSlot(task, slots, workflow);
+      if (!slots[actor]) slots[actor] = { ...pendingSlot(), lastAt: now };
+      const next = {
+        ...task,
+        slots,
+        lease: {
+          agent: actor,
+          claimedAt: renewed ? lease.claimedAt : now,
+          renewedAt: now,
+          expiresAt: now + leaseMs,
+          leaseMs
+        },
+        globalHistory: [
+          ...(task.globalHistory || []).slice(-99),
+          { actor, status: CLAIM_STATUS, note, at: now }
+        ],
+        updatedAt: now
+      };
+      next.status = this._deriveStatus(roomId, next);
+      this._saveTask(roomId, next);
+      result = { ok: true, claimed: true, renewed, task: next, released: [] };
+    }, this.logger);
+
+    return result || { ok: false, reason: "lock_failed" };
+  }
+
+  /**
+   * Restore the latest archived copy of a root task, with its subtasks, to
+   * the board. The root's terminal slots fall back to the status they held
+   * before closing (a root without slots reopens through its subtasks), the
+   * archive files are removed and the reopen is recorded on each task.
+   */
+  reopenTask(roomId, params) {
+    const taskId = asString(params.taskId);
+    if (!roomId || !taskId) return { ok: false, reason: "invalid" };
+
+    this._ensureDirs(roomId);
+    let result = null;
+    withFileLock(taskLockPath(roomId), () => {
+      if (this.getTask(roomId, taskId)) {
+        result = { ok: false, reason: "already_active", taskId };
+        return;
+      }
+      const root = this._latestArchived(roomId, taskId);
+      if (!root) {
+        result = { ok: false, reason: "not_found", taskId };
+        return;
+      }
+      if (root.task.movedTo) {
+        result = { ok: false, reason: "moved", taskId, roomId: root.task.movedTo };
+        return;
+      }
+      if (root.task.parentId) {
+        result = { ok: false, reason: "is_subtask", taskId, parentId: root.task.parentId };
+        return;
+      }
+      const tree = [];
+      const collect = (entry) => {
+        tree.push(entry);
+        for (const childId of entry.task.children || []) {
+          const child = this._latestArchived(roomId, childId);
+          if (child && !child.task.movedTo) collect(child);
+        }
+      };
+      collect(root);
+      // An archived child id may have been reused for a live task since
+      const clash = tree.find((entry) => this.getTask(roomId, entry.task.taskId));
+      if (clash) {
+        result = { ok: false, reason: "already_active", taskId: clash.task.taskId };
+        return;
+      }
+
+      const workflow = this.workflowFor(roomId);
+      const openCount = this.listActiveTasks(roomId).filter((t) => !isTerminal(t.status, workflow)).length;
+      if (openCount + tree.length > this.maxActiveTasks) {
+        result = { ok: false, reason: "max_active_reached", count: openCount };
+        return;
+      }
 
-      result = { ok: true, updated: true, closed: false, task: next };
+      const actor = asString(params.actor) || "unknown";
+      const note = asString(params.note) || "";
+      const now = Number(params.now) || Date.now();
+      const revertChildren = Object.keys(root.task.slots || {}).length === 0;
+      const restored = [];
+      // Subtasks first so the root derives its status from them
+      for (const { file, task } of tree.reverse()) {
+        const revert = task.taskId === taskId || revertChildren;
+        const slots = revert ? reopenSlots(task.slots, workflow, actor, note, now) : task.slots || {};
+        const next = {
+          ...task,
+          slots,
+          lease: null,
+          review: task.review ? { ...task.review, status: "reopened" } : task.review,
+          reopened: [...(task.reopened || []), { by: actor, note, at: now, closedAt: task.closedAt || 0 }],
+          globalHistory: [
+            ...(task.globalHistory || []).slice(-99),
+            { actor, status: REOPEN_STATUS, note, at: now }
+          ],
+          updatedAt: now
+        };
+        if (revert) next.status = this._deriveStatus(roomId, next);
+        next.closedAt = isTerminal(next.status, workflow) ? next.closedAt : 0;
+        this._saveTask(roomId, next);
+        try { rmSync(join(historyDir(roomId), file), { force: true }); } catch {}
+        restored.push(next);
+      }
+      const task = restored[restored.length - 1];
+      result = { ok: true, reopened: true, task, tasks: restored, released: [] };
     }, this.logger);
 
     return result || { ok: false, reason: "lock_failed" };
   }
 
+  /**
+   * Release leases that ran out without progress: the holder's unfinished
+   * slot is dropped (or reset to pending if it was assigned) and the task is
+   * open for claiming again. Returns what was released.
+   */
+  releaseExpiredLeases(roomId, now = Date.now()) {
+    const expired = [];
+    if (!roomId || !existsSync(activeDir(roomId))) return expired;
+    withFileLock(taskLockPath(roomId), () => {
+      const workflow = this.workflowFor(roomId);
+      for (const task of this.listActiveTasks(roomId)) {
+        const lease = task.lease;
+        if (!lease?.agent || activeLease(task, now)) continue;
+        const slots = { ...(task.slots || {}) };
+        releaseLeaseSlot(task, slots, workflow);
+        const note = `lease of ${lease.agent} expired`;
+        const next = {
+          ...task,
+          slots,
+          lease: null,
+          globalHistory: [
+            ...(task.globalHistory || []).slice(-99),
+            { actor: "system", status: "released", note, at: now }
+          ],
+          updatedAt: now
+        };
+        next.status = this._deriveStatus(roomId, next);
+        this._settleTask(roomId, next, now);
+        expired.push({ taskId: task.taskId, summary: task.summary, agent: lease.agent, claimedAt: lease.claimedAt, task: next });
+      }
+    }, this.logger);
+    return expired;
+  }
+
+  /**
+   * Move a root task and its subtasks to another room's board. The records
+   * keep their slots and history; the source room keeps a `moved` tombstone
+   * per task pointing at the target. Tasks other tasks still depend on, and
+   * tasks using statuses the target workflow lacks, are rejected.
+   */
+  moveTask(fromRoomId, toRoomId, params) {
+    const taskId = asString(params.taskId);
+    const actor = asString(params.actor) || "unknown";
+    if (!fromRoomId || !toRoomId || !taskId) return { ok: false, reason: "invalid" };
+    if (fromRoomId === toRoomId) return { ok: false, reason: "same_room", taskId };
+
+    this._ensureDirs(fromRoomId);
+    this._ensureDirs(toRoomId);
+    // Take both room locks in a fixed order
+    const [firstLock, secondLock] = [taskLockPath(fromRoomId), taskLockPath(toRoomId)].sort();
+    let result = null;
+    withFileLock(firstLock, () => {
+      withFileLock(secondLock, () => {
+        result = this._moveTaskLocked(fromRoomId, toRoomId, taskId, actor, params);
+      }, this.logger);
+    }, this.logger);
+    return result || { ok: false, reason: "lock_failed" };
+  }
+
+  _moveTaskLocked(fromRoomId, toRoomId, taskId, actor, params) {
+    const task = this.getTask(fromRoomId, taskId);
+    if (!task) return { ok: false, reason: "not_found", taskId };
+    if (task.parentId && this.getTask(fromRoomId, task.parentId)) {
+      return { ok: false, reason: "is_subtask", taskId, parentId: task.parentId };
+    }
+    const sourceTasks = this.listActiveTasks(fromRoomId);
+    const tree = flattenTaskTree(sourceTasks).filter(
+      ({ task: t }) => t.taskId === taskId || isDescendant(t, taskId, sourceTasks)
+    ).map(({ task: t }) => t);
+    const movingIds = new Set(tree.map((t) => t.taskId));
+    const dependents = sourceTasks
+      .filter((t) => !movingIds.has(t.taskId) && (t.dependsOn || []).some((id) => movingIds.has(id)))
+      .map((t) => t.taskId);
+    if (dependents.length > 0) return { ok: false, reason: "has_dependents", taskId, dependents };
+
+    const targetWorkflow = this.workflowFor(toRoomId);
+    const unknown = uniqueStrings(
+      tree.flatMap((t) => Object.values(t.slots || {}).map((slot) => asString(slot.status)))
+    ).filter((status) => status !== PENDING_STATUS && !targetWorkflow.statuses.includes(status));
+    if (unknown.length > 0) return { ok: false, reason: "incompatible_workflow", taskId, statuses: unknown };
+
+    const targetTasks = this.listActiveTasks(toRoomId);
+    const clash = tree.find((t) => targetTasks.some((other) => other.taskId === t.taskId));
+    if (clash) return { ok: false, reason: "already_exists", taskId: clash.taskId };
+    const openCount = targetTasks.filter((t) => !isTerminal(t.status, targetWorkflow)).length;
+    if (openCount + tree.length > this.maxActiveTasks) {
+      return { ok: false, reason: "max_active_reached", count: openCount };
+    }
+
+    const now = Number(params.now) || Date.now();
+    const note = asString(params.note);
+    const moved = [];
+    for (const source of tree) {
+      const entry = { actor, status: "moved", note: note || `moved from room ${fromRoomId}`, at: now };
+      // Dependencies stay behind: they point at the source room's board
+      const next = {
+        ...source,
+        dependsOn: [],
+        movedFrom: { roomId: fromRoomId, at: now, by: actor },
+        globalHistory: [...(source.globalHistory || []).slice(-99), entry],
+        updatedAt: now
+      };
+      this._saveTask(toRoomId, next);
+      moved.push(next);
+
+      const tombstone = {
+        taskId: source.taskId,
+        summary: source.summary,
+        status: "moved",
+        createdBy: source.createdBy,
+        createdAt: source.createdAt,
+        updatedAt: now,
+        closedAt: now,
+        movedTo: toRoomId,
+        slots: {},
+        globalHistory: [{ actor, status: "moved", note: note || `moved to room ${toRoomId}`, at: now }]
+      };
+      writeJsonAtomic(join(historyDir(fromRoomId), `${tsKey(now)}-${sanitizeTaskId(source.taskId)}.json`), tombstone, this.logger);
+      try { rmSync(taskFilePath(fromRoomId, source.taskId), { force: true }); } catch {}
+    }
+    const board = this.getBoard(fromRoomId);
+    for (const id of movingIds) delete board.tasks[id];
+    this._saveBoard(fromRoomId, board);
+
+    // Statuses derive again under the target room's workflow and review policy
+    const root = moved[0];
+    for (const task of [...moved].reverse()) {
+      const fresh = this.getTask(toRoomId, task.taskId);
+      if (fresh) this._rederive(toRoomId, fresh, now, `moved from room ${fromRoomId}`);
+    }
+    return { ok: true, moved: true, task: this.getTask(toRoomId, root.taskId) || root, subtasks: moved.slice(1) };
+  }
+
+  _saveTask(roomId, task) {
+    writeJsonAtomic(taskFilePath(roomId, task.taskId), task, this.logger);
+    const board = this.getBoard(roomId);
+    board.tasks[task.taskId] = { status: task.status, summary: task.summary };
+    this._saveBoard(roomId, board);
+  }
+
+  _deriveStatus(roomId, task) {
+    const workflow = this.workflowFor(roomId);
+    // Archived subtasks closed together with a root, so a missing child counts as done
+    const childStatuses = (task.children || []).map(
+      (id) => this.getTask(roomId, id)?.status || workflow.terminal[0]
+    );
+    const status = deriveTaskStatus(
+      task.slots,
+      this._openDependencies(roomId, task.dependsOn),
+      childStatuses,
+      workflow
+    );
+    // Review gate: finished work (not pure subtask rollups) waits for the reviewer
+    const policy = this.reviewPolicyFor(roomId);
+    if (!policy || !isTerminal(status, workflow) || Object.keys(task.slots || {}).length === 0) {
+      return status;
+    }
+    return task.review?.status === "approved" ? REVIEW_APPROVE : AWAITING_REVIEW;
+  }
+
+  _checkReview(task, policy, actor) {
+    if (actor !== policy.reviewerAgentId) {
+      return { ok: false, reason: "not_reviewer", reviewer: policy.reviewerAgentId };
+    }
+    if (task.status !== AWAITING_REVIEW) {
+      return { ok: false, reason: "not_awaiting_review", status: task.status };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Record the reviewer's verdict. Rework sends every finished slot back to
+   * `rework` and counts the round on the slot.
+   */
+  _applyReview(roomId, task, slots, status, actor, note, now) {
+    const workflow = this.workflowFor(roomId);
+    const review = { ...(task.review || {}), reviewer: actor, lastNote: note, at: now };
+    if (status === REVIEW_APPROVE) {
+      review.status = "approved";
+      return review;
+    }
+    review.status = "rework";
+    review.rounds = (review.rounds || 0) + 1;
+    for (const slot of Object.values(slots)) {
+      if (!isTerminal(slot.status, workflow)) continue;
+      slot.status = REVIEW_REWORK;
+      slot.reworkCount = (slot.reworkCount || 0) + 1;
+      slot.lastNote = note;
+      slot.lastAt = now;
+      slot.history = [...(slot.history || []).slice(-19), { status: REVIEW_REWORK, note, at: now, by: actor }];
+    }
+    return review;
+  }
+
+  _markReviewRequest(task, previousStatus, now) {
+    if (task.status !== AWAITING_REVIEW || previousStatus === AWAITING_REVIEW) return;
+    task.review = { ...(task.review || {}), status: "awaiting", requestedAt: now };
+  }
+
+  /**
+   * Persist a task whose status was just (re)derived, then propagate:
+   * - a terminal subtask stays on the board until its root closes
+   * - a terminal root is archived together with its whole subtree
+   * - dependents and the parent are re-derived in turn
+   * Returns the other tasks whose status changed as a consequence.
+   * Caller must hold the room task lock.
+   */
+  _settleTask(roomId, task, now) {
+    const terminal = isTerminal(task.status, this.workflowFor(roomId));
+    task.closedAt = terminal ? task.closedAt || now : 0;
+    const parent = task.parentId ? this.getTask(roomId, task.parentId) : null;
+    if (terminal && !parent) {
+      this._archiveTree(roomId, task, now);
+    } else {
+      this._saveTask(roomId, task);
+    }
+
+    const released = [];
+    if (terminal) {
+      const dependentIds = this.listActiveTasks(roomId)
+        .filter((t) => (t.dependsOn || []).includes(task.taskId))
+        .map((t) => t.taskId);
+      for (const dependentId of dependentIds) {
+        // Re-read: a cascading close above may already have touched this task
+        const dependent = this.getTask(roomId, dependentId);
+        if (!dependent) continue;
+        released.push(...this._rederive(roomId, dependent, now, `dependency ${task.taskId} closed`));
+      }
+    }
+    if (parent) {
+      const freshParent = this.getTask(roomId, parent.taskId);
+      if (freshParent) {
+        released.push(
+          ...this._rederive(roomId, freshParent, now, `subtask ${task.taskId} → ${task.status}`)
+        );
+      }
+    }
+    return released;
+  }
+
+  _rederive(roomId, task, now, note) {
+    const status = this._deriveStatus(roomId, task);
+    if (status === task.status) return [];
+    const next = {
+      ...task,
+      status,
+      updatedAt: now,
+      globalHistory: [
+        ...(task.globalHistory || []).slice(-99),
+        { actor: "system", status, note, at: now }
+      ]
+    };
+    this._markReviewRequest(next, task.status, now);
+    return [next, ...this._settleTask(roomId, next, now)];
+  }
+
+  /**
+   * Move a task and all of its subtasks from active/ into history/.
+   * Open subtasks are archived as-is; they close with their root.
+   */
+  _archiveTree(roomId, task, now) {
+    for (const childId of task.children || []) {
+      const child = this.getTask(roomId, childId);
+      if (child) this._archiveTree(roomId, { ...child, closedAt: child.closedAt || now }, now);
+    }
+    task.closedAt = task.closedAt || now;
+    const histFile = `${tsKey(now)}-${sanitizeTaskId(task.taskId)}.json`;
+    writeJsonAtomic(join(historyDir(roomId), histFile), task, this.logger);
+    try { rmSync(taskFilePath(roomId, task.taskId), { force: true }); } catch {}
+    const board = this.getBoard(roomId);
+    delete board.tasks[task.taskId];
+    this._saveBoard(roomId, board);
+  }
+
+  _openDependencies(roomId, dependsOn) {
+    const workflow = this.workflowFor(roomId);
+    return (dependsOn || []).filter((id) => {
+      const dep = this.getTask(roomId, id);
+      return dep && !isTerminal(dep.status, workflow);
+    });
+  }
+
+  /**
+   * One-time import of the retired single-active-task store for a room.
+   * Legacy files are left in place; a marker file prevents re-import.
+   */
+  migrateLegacyTasks(roomId) {
+    const legacyDir = legacyRoomDir(roomId);
+    if (!roomId || !existsSync(legacyDir) || existsSync(legacyMarkerPath(roomId))) {
+      return { ok: true, migrated: 0 };
+    }
+
+    this._ensureDirs(roomId);
+    let result = null;
+    withFileLock(taskLockPath(roomId), () => {
+      let active = 0;
+      let archived = 0;
+      const activeRaw = readJsonSafe(join(legacyDir, "active.json"), null, this.logger);
+      if (activeRaw?.taskId && !activeRaw.closedAt && !this.getTask(roomId, activeRaw.taskId)) {
+        this._saveTask(roomId, fromLegacyStateRecord(activeRaw));
+        active += 1;
+      }
+
+      const legacyHistoryDir = join(legacyDir, "history");
+      let files = [];
+      try {
+        files = existsSync(legacyHistoryDir)
+          ? readdirSync(legacyHistoryDir).filter((f) => f.endsWith(".json"))
+          : [];
+      } catch {}
+      for (const file of files) {
+        const target = join(historyDir(roomId), file);
+        if (existsSync(target)) continue;
+        const raw = readJsonSafe(join(legacyHistoryDir, file), null, this.logger);
+        if (!raw?.taskId) continue;
+        writeJsonAtomic(target, fromLegacyStateRecord(raw), this.logger);
+        archived += 1;
+      }
+
+      writeJsonAtomic(
+        legacyMarkerPath(roomId),
+        { migratedAt: Date.now(), source: legacyDir, active, archived },
+        this.logger
+      );
+      result = { ok: true, migrated: active + archived, active, archived };
+    }, this.logger);
+
+    return result || { ok: false, reason: "lock_failed" };
+  }
+
+  /**
+   * List SLA findings (overdue tasks, stale slots) across active tasks.
+   * Findings reminded within `cooldownMs` are skipped.
+   */
+  findSlaViolations(roomId, options = {}) {
+    const now = Number(options.now) || Date.now();
+    const staleMs = Number(options.staleMs) || 0;
+    const cooldownMs = Number(options.cooldownMs) || 0;
+    const workflow = this.workflowFor(roomId);
+    const out = [];
+    for (const task of this.listActiveTasks(roomId)) {
+      const reminders = task.reminders || {};
+      for (const finding of slaFindings(task, now, staleMs, workflow)) {
+        if (now - (Number(reminders[finding.key]) || 0) < cooldownMs) continue;
+        out.push({ ...finding, taskId: task.taskId, task });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Record that reminders were posted for the given findings.
+   */
+  markReminded(roomId, findings, now) {
+    if (!roomId || !Array.isArray(findings) || findings.length === 0) return;
+    withFileLock(taskLockPath(roomId), () => {
+      const byTask = new Map();
+      for (const finding of findings) {
+        const keys = byTask.get(finding.taskId) || [];
+        keys.push(finding.key);
+        byTask.set(finding.taskId, keys);
+      }
+      for (const [taskId, keys] of byTask.entries()) {
+        const task = this.getTask(roomId, taskId);
+        if (!task) continue;
+        const reminders = { ...(task.reminders || {}) };
+        for (const key of keys) reminders[key] = now;
+        this._saveTask(roomId, { ...task, reminders });
+      }
+    }, this.logger);
+  }
+
+  _historyFiles(roomId) {
+    const dir = historyDir(roomId);
+    if (!existsSync(dir)) return [];
+    try {
+      return readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * List archived tasks, newest first.
+   * filters: since (ms), agent, status, q (case-insensitive text), limit.
+   */
+  listHistory(roomId, filters = {}) {
+    const normalized = {
+      since: Number(filters.since) || 0,
+      agent: asString(filters.agent),
+      status: asString(filters.status).toLowerCase(),
+      q: asString(filters.q).toLowerCase()
+    };
+    const limit = Number(filters.limit) || 20;
+    const out = [];
+    for (const file of this._historyFiles(roomId).reverse()) {
+      const task = readJsonSafe(join(historyDir(roomId), file), null, this.logger);
+      if (!task?.taskId || !matchesHistoryFilters(task, normalized)) continue;
+      out.push(task);
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  /**
+   * Records for an export: every active task plus the archived tasks closed
+   * since `options.since` (all of them when unset), oldest first.
+   */
+  exportTasks(roomId, options = {}) {
+    const since = Number(options.since) || 0;
+    const archived = [];
+    for (const file of this._historyFiles(roomId)) {
+      const task = readJsonSafe(join(historyDir(roomId), file), null, this.logger);
+      if (!task?.taskId || (since && (Number(task.closedAt) || 0) < since)) continue;
+      archived.push(task);
+    }
+    return { active: this.listActiveTasks(roomId), archived };
+  }
+
+  /** Write a rendered export under the room's data dir; returns its path. */
+  writeExport(roomId, extension, content, now = Date.now()) {
+    const filePath = join(exportDir(roomId), `tasks-${tsKey(now)}.${extension}`);
+    try {
+      mkdirSync(exportDir(roomId), { recursive: true });
+      writeFileSync(filePath, content, "utf8");
+      return filePath;
+    } catch (err) {
+      if (this.logger) this.logger.warn(`[teamchat] task export write failed: ${String(err)}`);
+      return "";
+    }
+  }
+
+  /**
+   * Per-agent workload: open and blocked slots on the board, current WIP
+   * against the limit, and the average time from an agent's first signal on
+   * a task to its slot reaching a terminal status (tasks closed since
+   * options.since).
+   */
+  agentWorkload(roomId, agentIds, options = {}) {
+    const workflow = this.workflowFor(roomId);
+    const wipStatuses = this.wipPolicies.get(roomId)?.statuses || [];
+    const stats = new Map(
+      agentIds.map((agentId) => [
+        agentId,
+        { agentId, open: [], blocked: [], wip: 0, limit: this.wipLimitFor(roomId, agentId), done: 0, totalMs: 0 }
+      ])
+    );
+    const entryFor = (agentId) => stats.get(agentId);
+    const addCompletion = (task, agentId, slot) => {
+      const entry = entryFor(agentId);
+      if (!entry || !isTerminal(slot.status, workflow)) return;
+      const startedAt = Number(slot.history?.[0]?.at) || Number(task.createdAt) || 0;
+      const finishedAt = Number(slot.lastAt) || 0;
+      if (!startedAt || finishedAt < startedAt) return;
+      entry.done += 1;
+      entry.totalMs += finishedAt - startedAt;
+    };
+
+    for (const task of this.listActiveTasks(roomId)) {
+      for (const [agentId, slot] of Object.entries(task.slots || {})) {
+        const entry = entryFor(agentId);
+        if (!entry) continue;
+        if (isTerminal(slot.status, workflow)) {
+          addCompletion(task, agentId, slot);
+          continue;
+        }
+        entry.open.push(task.taskId);
+        if (workflow.blocked.includes(slot.status)) entry.blocked.push(task.taskId);
+        if (wipStatuses.includes(slot.status)) entry.wip += 1;
+      }
+    }
+    const since = Number(options.since) || 0;
+    for (const file of this._historyFiles(roomId)) {
+      const task = readJsonSafe(join(historyDir(roomId), file), null, this.logger);
+      if (!task?.taskId || (since && (Number(task.closedAt) || 0) < since)) continue;
+      for (const [agentId, slot] of Object.entries(task.slots || {})) addCompletion(task, agentId, slot);
+    }
+
+    return [...stats.values()].map(({ totalMs, ...entry }) => ({
+      ...entry,
+      avgCompletionMs: entry.done > 0 ? Math.round(totalMs / entry.done) : 0
+    }));
+  }
+
+  /**
+   * Find a task on the board, falling back to its latest archived copy.
+   */
+  findTask(roomId, taskId) {
+    const active = this.getTask(roomId, taskId);
+    if (active) return { task: active, archived: false };
+    const archived = this._latestArchived(roomId, taskId);
+    return archived ? { task: archived.task, archived: true } : null;
+  }
+
+  _latestArchived(roomId, taskId) {
+    const target = sanitizeTaskId(taskId);
+    const file = this._historyFiles(roomId).reverse().find((f) => historyFileTaskId(f) === target);
+    const task = file ? readJsonSafe(join(historyDir(roomId), file), null, this.logger) : null;
+    return task?.taskId ? { file, task } : null;
+  }
+
+  _hasArchivedTask(roomId, taskId) {
+    const target = sanitizeTaskId(taskId);
+    return this._historyFiles(roomId).some((f) => historyFileTaskId(f) === target);
+  }
+
+  /**
+   * Validate a dependency list for `taskId`: every id must be a known task
+   * (active or archived) and the resulting graph must stay acyclic.
+   */
+  checkDependencies(roomId, taskId, dependsOn, activeTasks) {
+    if (dependsOn.length === 0) return { ok: true };
+    const tasks = activeTasks || this.listActiveTasks(roomId);
+    const tasksById = new Map(tasks.map((t) => [t.taskId, t]));
+    for (const depId of dependsOn) {
+      if (depId === taskId) {
+        return { ok: false, reason: "dependency_cycle", taskId, cycle: [taskId, taskId] };
+      }
+      if (!tasksById.has(depId) && !this._hasArchivedTask(roomId, depId)) {
+        return { ok: false, reason: "dependency_not_found", taskId, dependency: depId };
+      }
+    }
+    const cycle = findDependencyCycle(taskId, dependsOn, tasksById);
+    if (cycle) return { ok: false, reason: "dependency_cycle", taskId, cycle };
+    return { ok: true };
+  }
+
   /**
    * Build task board context for injection into agent prompts.
    * Shows each agent's slot status and round count.
+   * options.staleMs flags slots without progress for that long;
+   * options.maxLowPriority caps how many top-level tasks at or below
+   * options.lowPriority are listed; options.labels limits the board to
+   * unlabelled tasks and tasks carrying one of those labels. Tasks the
+   * agent works on always stay.
    */
-  buildBoardContext(roomId, agentId) {
-    const tasks = this.listActiveTasks(roomId);
+  buildBoardContext(roomId, agentId, options = {}) {
+    const allTasks = this.listActiveTasks(roomId);
+    if (allTasks.length === 0) return "";
+    const interests = normalizeLabels(options.labels);
+    const tasks = interests.length > 0
+      ? allTasks.filter((t) => !t.labels?.length || hasAnyLabel(t, interests) || involvesAgent(t, agentId))
+      : allTasks;
     if (tasks.length === 0) return "";
+    const omitted = this._omitLowPriority(tasks, agentId, options);
+    const now = Number(options.now) || Date.now();
+    const staleMs = Number(options.staleMs) || 0;
+    const workflow = this.workflowFor(roomId);
+    const reviewer = this.reviewPolicyFor(roomId)?.reviewerAgentId || "";
 
+    const tasksById = new Map(tasks.map((t) => [t.taskId, t]));
     const lines = ["[task-board]"];
-    for (const task of tasks) {
-      lines.push(`${task.taskId} [${task.status}] "${task.summary}"`);
+    for (const { task, depth } of flattenTaskTree(tasks)) {
+      if (omitted.has(task.taskId)) continue;
+      const indent = "  ".repeat(depth);
+      const assigned = (task.assignees || []).includes(agentId) ? " 📌 指派给你" : "";
+      const reviewing =
+        task.status === AWAITING_REVIEW ? (reviewer === agentId ? " 🔍 待你审核" : ` 🔍 待 ${reviewer} 审核`) : "";
+      lines.push(
+        `${indent}${depth > 0 ? "└ " : ""}${task.taskId} [${task.status}]${priorityLabel(task)} "${task.summary}"${labelsLabel(task)}${dueLabel(task, now, workflow)}${leaseLabel(task, now)}${assigned}${reviewing}`
+      );
+      const chain = dependencyChain(task, tasksById, workflow);
+      if (chain.length > 0) {
+        lines.push(`${indent}   ⛓ waiting on: ${chain.map((t) => `${t.taskId} [${t.status}]`).join(" ← ")}`);
+      }
       const slots = task.slots || {};
       for (const [agent, slot] of Object.entries(slots)) {
         const marker = agent === agentId ? "👉 " : "   ";
         lines.push(
-          `${marker}${agent}: ${slot.status} (${slot.rounds}轮) — ${slot.lastNote || "-"}`
+          `${indent}${marker}${agent}: ${slot.status} (${slot.rounds}轮) — ${slot.lastNote || "-"}${reworkLabel(slot)}${staleLabel(slot, now, staleMs, workflow)}`
         );
       }
     }
+    const omittedRoots = tasks.filter((t) => omitted.has(t.taskId) && !omitted.has(t.parentId)).length;
+    if (omittedRoots > 0) {
+      lines.push(`… 另有 ${omittedRoots} 个低优先级任务未展示（/teamroom tasks 查看全部）`);
+    }
+    if (tasks.length < allTasks.length) {
+      lines.push(`… 按关注标签 ${interests.join(",")} 过滤，隐藏 ${allTasks.length - tasks.length} 个任务`);
+    }
     lines.push("[/task-board]");
     return lines.join("\n");
   }
 
-  snapshot(roomId) {
-    const tasks = this.listActiveTasks(roomId);
-    const dir = historyDir(roomId);
-    let closedCount = 0;
-    if (existsSync(dir)) {
-      try {
-        closedCount = readdirSync(dir).filter((f) => f.endsWith(".json")).length;
-      } catch {}
+  /**
+   * Pick low-priority top-level tasks (with their subtrees) to leave out of
+   * the injected board. Returns the set of omitted task ids.
+   */
+  _omitLowPriority(tasks, agentId, options) {
+    const omitted = new Set();
+    const lowRank = PRIORITIES.indexOf(normalizePriority(options.lowPriority));
+    const maxLow = Number(options.maxLowPriority);
+    if (lowRank < 0 || !Number.isInteger(maxLow) || maxLow < 0) return omitted;
+    let kept = 0;
+    for (const { task, depth } of flattenTaskTree(tasks)) {
+      if (depth > 0) {
+        if (omitted.has(task.parentId)) omitted.add(task.taskId);
+        continue;
+      }
+      if (priorityRank(task) < lowRank || involvesAgent(task, agentId)) continue;
+      if (kept < maxLow) kept += 1;
+      else omitted.add(task.taskId);
     }
+    return omitted;
+  }
+
+  /**
+   * One-line-per-task board summary for commands.
+   * options.labels shows only tasks carrying one of those labels.
+   */
+  snapshot(roomId, options = {}) {
+    const labelFilter = normalizeLabels(options.labels);
+    const tasks = this.listActiveTasks(roomId).filter(
+      (t) => labelFilter.length === 0 || hasAnyLabel(t, labelFilter)
+    );
+    const now = Number(options.now) || Date.now();
+    const staleMs = Number(options.staleMs) || 0;
+    const workflow = this.workflowFor(roomId);
+    // Tombstones of tasks moved to another room did not close here
+    const closed = this._historyFiles(roomId)
+      .map((file) => readJsonSafe(join(historyDir(roomId), file), null, this.logger))
+      .filter((task) => task?.taskId && !task.movedTo);
+    const closedCount = closed.length;
+    const filterNote = labelFilter.length > 0 ? ` label=${labelFilter.join(",")}` : "";
 
     if (tasks.length === 0) {
-      return `room=${roomId}: active=0 closed=${closedCount}`;
+      const last = closed[closedCount - 1];
+      const lastClosed = last?.taskId ? ` lastClosed=${last.taskId}:${last.status}` : "";
+      return `room=${roomId}: active=0 closed=${closedCount}${filterNote}${lastClosed}`;
     }
 
-    const lines = [`room=${roomId}: active=${tasks.length} closed=${closedCount}`];
-    for (const task of tasks) {
+    const lines = [`room=${roomId}: active=${tasks.length} closed=${closedCount}${filterNote}`];
+    for (const { task, depth } of flattenTaskTree(tasks)) {
       const slots = task.slots || {};
       const slotSummary = Object.entries(slots)
-        .map(([agent, s]) => `${agent}:${s.status}(${s.rounds}轮)`)
+        .map(([agent, s]) => `${agent}:${s.status}(${s.rounds}轮)${reworkLabel(s)}${staleLabel(s, now, staleMs, workflow)}`)
         .join(", ");
+      const deps = (task.dependsOn || []).length > 0 ? ` deps=${task.dependsOn.join(",")}` : "";
+      const owner = task.owner ? ` owner=${task.owner}` : "";
+      const indent = `  ${"  ".repeat(depth)}${depth > 0 ? "└ " : ""}`;
       lines.push(
-        `  ${task.taskId} [${task.status}] "${task.summary}"${slotSummary ? ` — ${slotSummary}` : ""}`
+        `${indent}${task.taskId} [${task.status}]${priorityLabel(task)} "${task.summary}"${labelsLabel(task)}${owner}${deps}${dueLabel(task, now, workflow)}${leaseLabel(task, now)}${slotSummary ? ` — ${slotSummary}` : ""}`
       );
     }
     return lines.join("\n");
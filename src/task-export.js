@@ -0,0 +1,145 @@
+import { asString, formatDuration, formatShortTime, toIso } from "./utils.js";
+
+export const EXPORT_FORMATS = ["md", "csv", "json"];
+
+const CSV_COLUMNS = [
+  "room",
+  "state",
+  "taskId",
+  "parentId",
+  "status",
+  "summary",
+  "priority",
+  "labels",
+  "assignees",
+  "createdAt",
+  "closedAt",
+  "durationMs",
+  "agent",
+  "slotStatus",
+  "rounds",
+  "slotDurationMs",
+  "lastNote"
+];
+
+/**
+ * Time an agent spent on its slot: first recorded signal to the latest one.
+ * Slot history is capped, so long-running slots fall back to createdAt.
+ */
+function slotDurationMs(task, slot) {
+  const startedAt = Number(slot.history?.[0]?.at) || Number(task.createdAt) || 0;
+  const lastAt = Number(slot.lastAt) || 0;
+  return startedAt && lastAt >= startedAt ? lastAt - startedAt : 0;
+}
+
+function taskDurationMs(task, now) {
+  const createdAt = Number(task.createdAt) || 0;
+  if (!createdAt) return 0;
+  return Math.max(0, (Number(task.closedAt) || now) - createdAt);
+}
+
+function slotEntries(task) {
+  return Object.entries(task.slots || {}).map(([agent, slot]) => ({
+    agent,
+    status: asString(slot.status),
+    rounds: Number(slot.rounds) || 0,
+    durationMs: slotDurationMs(task, slot),
+    lastNote: asString(slot.lastNote)
+  }));
+}
+
+function csvCell(value) {
+  const text = typeof value === "number" ? String(value) : asString(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function mdCell(value) {
+  return asString(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ") || "-";
+}
+
+function renderCsv(roomId, groups, now) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const [state, tasks] of groups) {
+    for (const task of tasks) {
+      const base = [
+        roomId,
+        state,
+        task.taskId,
+        task.parentId || "",
+        task.status,
+        task.summary,
+        task.priority || "",
+        (task.labels || []).join(" "),
+        (task.assignees || []).join(" "),
+        toIso(task.createdAt),
+        toIso(task.closedAt),
+        taskDurationMs(task, now)
+      ];
+      const slots = slotEntries(task);
+      // Tasks nobody has signalled yet still get one row
+      for (const slot of slots.length > 0 ? slots : [null]) {
+        const tail = slot
+          ? [slot.agent, slot.status, slot.rounds, slot.durationMs, slot.lastNote]
+          : ["", "", "", "", ""];
+        lines.push([...base, ...tail].map(csvCell).join(","));
+      }
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function renderMarkdown(roomId, groups, meta, now) {
+  const titles = { active: "进行中", archived: "已归档" };
+  const lines = [
+    `# 任务导出 ${roomId}`,
+    "",
+    `导出时间 ${formatShortTime(now)}${meta.since ? ` · 归档范围 ${formatShortTime(meta.since)} 起` : ""}`
+  ];
+  for (const [state, tasks] of groups) {
+    lines.push("", `## ${titles[state]}（${tasks.length}）`, "");
+    if (tasks.length === 0) {
+      lines.push("无");
+      continue;
+    }
+    lines.push(
+      "| 任务 | 状态 | 摘要 | 优先级 | 标签 | 创建 | 关闭 | 耗时 | 槽位（状态 / 轮次 / 耗时） |",
+      "| --- | --- | --- | --- | --- | --- | --- | --- | --- |"
+    );
+    for (const task of tasks) {
+      const slots = slotEntries(task)
+        .map((slot) => `${slot.agent}: ${slot.status} / ${slot.rounds}轮 / ${formatDuration(slot.durationMs)}`)
+        .join("<br>");
+      const cells = [
+        task.parentId ? `${task.taskId}（← ${task.parentId}）` : task.taskId,
+        task.movedTo ? `${task.status} → ${task.movedTo}` : task.status,
+        task.summary,
+        task.priority,
+        (task.labels || []).map((label) => `#${label}`).join(" "),
+        formatShortTime(task.createdAt),
+        formatShortTime(task.closedAt),
+        formatDuration(taskDurationMs(task, now)),
+        slots
+      ];
+      lines.push(`| ${cells.map(mdCell).join(" | ")} |`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render a room's active and archived tasks for reports. `md` groups tasks
+ * into two tables, `csv` has one row per slot, `json` keeps the full records.
+ */
+export function renderTaskExport(roomId, { active = [], archived = [] }, format, meta = {}) {
+  const now = Number(meta.now) || Date.now();
+  const groups = [
+    ["active", active],
+    ["archived", archived]
+  ];
+  if (format === "csv") return renderCsv(roomId, groups, now);
+  if (format === "json") {
+    const since = Number(meta.since) || 0;
+    return `${JSON.stringify({ roomId, exportedAt: now, since, active, archived }, null, 2)}\n`;
+  }
+  return renderMarkdown(roomId, groups, meta, now);
+}
@@ -0,0 +1,19 @@
+import { CJK_CHARS, asString } from "./utils.js";
+
+// Tokenizers split CJK text roughly per character, latin text roughly every
+// four characters of a word; punctuation and emoji are mostly one token each
+const LATIN_CHARS_PER_TOKEN = 4;
+const TOKEN_RUNS = new RegExp(`[${CJK_CHARS}]|[a-zA-Z0-9_\\u00c0-\\u024f]+|\\S`, "gu");
+
+/**
+ * Estimate the prompt tokens of `text` without a tokenizer: one per CJK
+ * character, one per four characters of a latin word or number, one per
+ * other visible symbol. Whitespace is free.
+ */
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const run of asString(text).match(TOKEN_RUNS) || []) {
+    tokens += run.length > 1 ? Math.ceil(run.length / LATIN_CHARS_PER_TOKEN) : 1;
+  }
+  return tokens;
+}
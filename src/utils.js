@@ -151,6 +151,9 @@ export function isLikelyGroupId(conversationId) {
   return id.startsWith("oc_");
 }
 
+/** Han, kana and hangul code point ranges, for use inside a regex character class. */
+export const CJK_CHARS = "\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff";
+
 export function escapeRegExp(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
@@ -173,3 +176,49 @@ export function toIso(ts) {
     return "";
   }
 }
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+  w: 604_800_000
+};
+
+/**
+ * Parse a relative duration such as "30m", "2h", "1.5d" or "1w" into ms.
+ */
+export function parseDuration(value) {
+  const match = asString(value).toLowerCase().match(/^(\d+(?:\.\d+)?)([smhdw])$/);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+/**
+ * Parse an absolute date (YYYY-MM-DD, local midnight) or ISO 8601 date-time into ms.
+ */
+export function parseDateInput(value) {
+  const text = asString(value);
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime();
+  }
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text)) return null;
+  const ts = Date.parse(text);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+export function formatDuration(ms) {
+  const n = Math.max(0, Number(ms) || 0);
+  if (n < 3_600_000) return `${Math.round(n / 60_000)}m`;
+  if (n < 86_400_000) return `${(n / 3_600_000).toFixed(1).replace(/\.0$/, "")}h`;
+  return `${(n / 86_400_000).toFixed(1).replace(/\.0$/, "")}d`;
+}
+
+export function formatShortTime(ts) {
+  const n = Number(ts);
+  if (!Number.isFinite(n) || n <= 0) return "";
+  const d = new Date(n);
+  const pad = (v) => String(v).padStart(2, "0");
+  return `${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
@@ -0,0 +1,214 @@
+import { asArray, asObject, asString, uniqueStrings } from "./utils.js";
+
+// Board-internal statuses: open dependencies / assigned but not yet signalled /
+// finished work held for the reviewer
+export const AWAITING_REVIEW = "awaiting_review";
+// Signal that takes an exclusive lease on a task (see protocol.claim)
+export const CLAIM_STATUS = "claim";
+// Signal that restores an archived task to the board
+export const REOPEN_STATUS = "reopen";
+const RESERVED_STATUSES = new Set(["waiting", "pending", AWAITING_REVIEW, CLAIM_STATUS, REOPEN_STATUS]);
+// Statuses the reviewer answers with under a review policy
+export const REVIEW_APPROVE = "review_ok";
+export const REVIEW_REWORK = "rework";
+const STATUS_PATTERN = /^[a-z][a-z0-9_-]*$/;
+const ANY_STATUS = "*";
+
+/**
+ * Built-in workflow used by rooms without `protocol.workflow`.
+ * statuses: what a slot may report; aliases: accepted spellings;
+ * transitions: allowed next statuses per status (empty = any);
+ * terminal: statuses that close a slot.
+ */
+export const DEFAULT_WORKFLOW = Object.freeze({
+  statuses: ["create", "ack", "in_progress", "blocked", "done", "review_ok", "rework"],
+  aliases: {
+    created: "create",
+    new: "create",
+    accepted: "ack",
+    "in-progress": "in_progress",
+    doing: "in_progress",
+    waiting: "blocked",
+    completed: "done",
+    finished: "done",
+    "review-ok": "review_ok",
+    approved: "review_ok",
+    review_rework: "rework",
+    rejected: "rework"
+  },
+  transitions: {},
+  terminal: ["done", "review_ok"],
+  blocked: ["blocked"],
+  initial: "create",
+  errors: []
+});
+
+function statusList(value) {
+  return uniqueStrings(asArray(value).map((s) => asString(s).toLowerCase()));
+}
+
+/**
+ * Validate a room's `protocol.workflow` config. Invalid entries are dropped
+ * and described in `errors`; a workflow that cannot stand on its own (fewer
+ * than two statuses, no terminal status) falls back to the default.
+ */
+export function normalizeWorkflow(rawWorkflow) {
+  const raw = asObject(rawWorkflow);
+  if (Object.keys(raw).length === 0) return DEFAULT_WORKFLOW;
+
+  const errors = [];
+  const statuses = [];
+  const configured = raw.statuses == null ? DEFAULT_WORKFLOW.statuses : statusList(raw.statuses);
+  for (const status of configured) {
+    if (RESERVED_STATUSES.has(status)) errors.push(`status "${status}" is reserved`);
+    else if (!STATUS_PATTERN.test(status)) errors.push(`invalid status "${status}"`);
+    else statuses.push(status);
+  }
+  const known = new Set(statuses);
+
+  const terminal = [];
+  const configuredTerminal =
+    raw.terminal == null ? DEFAULT_WORKFLOW.terminal : statusList(raw.terminal);
+  for (const status of configuredTerminal) {
+    if (known.has(status)) terminal.push(status);
+    else errors.push(`terminal status "${status}" is not in statuses`);
+  }
+
+  if (statuses.length < 2 || terminal.length === 0 || terminal.length === statuses.length) {
+    errors.push("workflow needs at least one terminal and one open status; using default");
+    return { ...DEFAULT_WORKFLOW, errors };
+  }
+
+  let initial = asString(raw.initial).toLowerCase();
+  if (initial && (!known.has(initial) || terminal.includes(initial))) {
+    errors.push(`initial status "${initial}" must be a non-terminal status`);
+    initial = "";
+  }
+  if (!initial) initial = statuses.find((s) => !terminal.includes(s));
+
+  const blocked = (raw.blocked == null ? DEFAULT_WORKFLOW.blocked : statusList(raw.blocked)).filter(
+    (status) => known.has(status) && !terminal.includes(status)
+  );
+
+  // Built-in aliases carry over when their target status exists
+  const aliases = {};
+  const configuredAliases = { ...DEFAULT_WORKFLOW.aliases, ...asObject(raw.aliases) };
+  for (const [aliasRaw, targetRaw] of Object.entries(configuredAliases)) {
+    const alias = asString(aliasRaw).toLowerCase();
+    const target = asString(targetRaw).toLowerCase();
+    if (!alias || known.has(alias)) continue;
+    if (!known.has(target)) {
+      if (aliasRaw in asObject(raw.aliases)) errors.push(`alias "${alias}" targets unknown status "${target}"`);
+      continue;
+    }
+    aliases[alias] = target;
+  }
+
+  const transitions = {};
+  for (const [fromRaw, toRaw] of Object.entries(asObject(raw.transitions))) {
+    const from = asString(fromRaw).toLowerCase();
+    if (from !== ANY_STATUS && !known.has(from)) {
+      errors.push(`transition from unknown status "${from}"`);
+      continue;
+    }
+    const targets = [];
+    for (const to of statusList(toRaw)) {
+      if (known.has(to)) targets.push(to);
+      else errors.push(`transition ${from} → unknown status "${to}"`);
+    }
+    transitions[from] = targets;
+  }
+
+  return { statuses, aliases, transitions, terminal, blocked, initial, errors };
+}
+
+/**
+ * Map a raw status (or alias) onto the workflow; unknown values are returned
+ * lower-cased so callers can report them.
+ */
+export function resolveStatus(rawStatus, workflow = DEFAULT_WORKFLOW) {
+  const status = asString(rawStatus).toLowerCase();
+  if (!status) return "";
+  return workflow.aliases[status] || status;
+}
+
+export function isTerminalStatus(status, workflow = DEFAULT_WORKFLOW) {
+  return workflow.terminal.includes(asString(status).toLowerCase());
+}
+
+/**
+ * Check whether a slot may move from `from` to `to`. A slot that has not
+ * signalled yet starts from the workflow's initial status; repeating the
+ * current status (a progress note) is always allowed.
+ */
+export function checkTransition(workflow, from, to) {
+  if (!workflow.statuses.includes(to)) {
+    return { ok: false, reason: "unknown_status", status: to, allowed: workflow.statuses };
+  }
+  const current = !from || RESERVED_STATUSES.has(from) ? workflow.initial : from;
+  if (current === to) return { ok: true };
+  const allowed = workflow.transitions[current] ?? workflow.transitions[ANY_STATUS];
+  if (!allowed || allowed.includes(to)) return { ok: true };
+  return { ok: false, reason: "illegal_transition", from: current, to, allowed };
+}
+
+/**
+ * Validate a room's `protocol.review` policy against its workflow. The
+ * reviewer defaults to the room's main agent; the workflow must offer
+ * `review_ok` as a terminal and `rework` as an open status.
+ */
+export function normalizeReviewPolicy(rawReview, workflow, mainAgentId) {
+  const raw = asObject(rawReview);
+  const errors = [];
+  let enabled = raw.enabled === true;
+  if (enabled && !isTerminalStatus(REVIEW_APPROVE, workflow)) {
+    errors.push(`review needs "${REVIEW_APPROVE}" as a terminal status; review disabled`);
+    enabled = false;
+  }
+  if (enabled && (!workflow.statuses.includes(REVIEW_REWORK) || isTerminalStatus(REVIEW_REWORK, workflow))) {
+    errors.push(`review needs "${REVIEW_REWORK}" as an open status; review disabled`);
+    enabled = false;
+  }
+  return {
+    enabled,
+    reviewerAgentId: asString(raw.reviewerAgentId) || mainAgentId,
+    notify: raw.notify !== false,
+    errors
+  };
+}
+
+const DEFAULT_WIP_STATUSES = ["ack", "in_progress"];
+
+/**
+ * Validate a room's `protocol.wip` policy. `statuses` are the open workflow
+ * statuses that count as work in progress; a limit of 0 means unlimited, and
+ * `agents` overrides `maxPerAgent` per agent.
+ */
+export function normalizeWipPolicy(rawWip, workflow) {
+  const raw = asObject(rawWip);
+  const errors = [];
+  const statuses = [];
+  for (const status of raw.statuses == null ? DEFAULT_WIP_STATUSES : statusList(raw.statuses)) {
+    const resolved = resolveStatus(status, workflow);
+    if (workflow.statuses.includes(resolved) && !isTerminalStatus(resolved, workflow)) statuses.push(resolved);
+    else if (raw.statuses != null) errors.push(`wip status "${status}" is not an open workflow status`);
+  }
+  const limitOf = (value, where) => {
+    if (value == null) return 0;
+    const limit = Number(value);
+    if (Number.isInteger(limit) && limit >= 0) return limit;
+    errors.push(`${where}: invalid limit "${value}"`);
+    return 0;
+  };
+  const agents = {};
+  for (const [agentIdRaw, value] of Object.entries(asObject(raw.agents))) {
+    const agentId = asString(agentIdRaw);
+    if (agentId) agents[agentId] = limitOf(value, `wip agent ${agentId}`);
+  }
+  return {
+    maxPerAgent: limitOf(raw.maxPerAgent, "wip maxPerAgent"),
+    agents,
+    statuses: uniqueStrings(statuses),
+    errors
+  };
+}
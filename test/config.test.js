@@ -201,3 +201,220 @@ test("normalizePluginConfig room protocol taskMemory keeps defaults and custom v
   assert.equal(customTaskMemory.timeoutSeconds, 900);
   assert.equal(customTaskMemory.dryRun, true);
 });
+
+test("normalizePluginConfig defaults protocol.sla to off and clamps intervals", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          { id: "oc_default" },
+          { id: "oc_sla", protocol: { sla: { enabled: true, staleSeconds: 10, sweepIntervalSeconds: 5 } } }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  assert.equal(normalized.teamroom.roomsById.oc_default.protocol.sla.enabled, false);
+  const sla = normalized.teamroom.roomsById.oc_sla.protocol.sla;
+  assert.equal(sla.enabled, true);
+  assert.equal(sla.staleSeconds, 300);
+  assert.equal(sla.sweepIntervalSeconds, 30);
+  assert.equal(sla.remindCooldownSeconds, 3600);
+});
+
+test("normalizePluginConfig validates per-room status workflows", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          { id: "oc_default" },
+          {
+            id: "oc_research",
+            protocol: {
+              workflow: {
+                statuses: ["draft", "reviewed", "published", "waiting"],
+                aliases: { review: "reviewed", ship: "shipped" },
+                transitions: { draft: ["reviewed"], reviewed: ["published", "draft", "archived"] },
+                terminal: ["published"]
+              }
+            }
+          },
+          { id: "oc_broken", protocol: { workflow: { statuses: ["only"], terminal: ["only"] } } }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  const { roomsById } = normalized.teamroom;
+  assert.equal(roomsById.oc_default.protocol.workflow.initial, "create");
+  assert.deepEqual(roomsById.oc_default.protocol.workflow.terminal, ["done", "review_ok"]);
+
+  const research = roomsById.oc_research.protocol.workflow;
+  assert.deepEqual(research.statuses, ["draft", "reviewed", "published"]);
+  assert.equal(research.initial, "draft");
+  assert.equal(research.aliases.review, "reviewed");
+  assert.equal(research.aliases.ship, undefined);
+  assert.deepEqual(research.transitions.reviewed, ["published", "draft"]);
+  assert.equal(research.errors.length, 3);
+
+  const broken = roomsById.oc_broken.protocol.workflow;
+  assert.deepEqual(broken.statuses, roomsById.oc_default.protocol.workflow.statuses);
+  assert.match(broken.errors.at(-1), /using default/);
+});
+
+test("normalizePluginConfig review policy defaults reviewer to main agent", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          { id: "oc_review", protocol: { mainAgentId: "lead", review: { enabled: true } } },
+          {
+            id: "oc_no_rework",
+            protocol: {
+              review: { enabled: true, reviewerAgentId: "qa" },
+              workflow: { statuses: ["todo", "done", "review_ok"], terminal: ["done", "review_ok"] }
+            }
+          }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  const review = normalized.teamroom.roomsById.oc_review.protocol.review;
+  assert.equal(review.enabled, true);
+  assert.equal(review.reviewerAgentId, "lead");
+  assert.equal(review.notify, true);
+
+  const invalid = normalized.teamroom.roomsById.oc_no_rework.protocol.review;
+  assert.equal(invalid.enabled, false);
+  assert.equal(invalid.reviewerAgentId, "qa");
+  assert.match(invalid.errors[0], /rework/);
+});
+
+test("normalizePluginConfig keeps a valid low-priority cap", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          { id: "oc_a" },
+          { id: "oc_b", protocol: { priority: { lowPriority: "P2", maxLowPriorityTasks: 0 } } },
+          { id: "oc_c", protocol: { priority: { lowPriority: "low" } } }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  const { roomsById } = normalized.teamroom;
+  assert.deepEqual(roomsById.oc_a.protocol.priority, { lowPriority: "p3", maxLowPriorityTasks: 3 });
+  assert.deepEqual(roomsById.oc_b.protocol.priority, { lowPriority: "p2", maxLowPriorityTasks: 0 });
+  assert.equal(roomsById.oc_c.protocol.priority.lowPriority, "p3");
+});
+
+test("normalizePluginConfig normalizes per-agent label interests", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [{ id: "oc_a", agentLabels: { builder: ["Backend", "#db", "backend"], researcher: [], "": ["x"] } }]
+      }
+    },
+    { bindings: [] }
+  );
+  assert.deepEqual(normalized.teamroom.roomsById.oc_a.agentLabels, { builder: ["backend", "db"] });
+});
+
+test("normalizePluginConfig validates room task templates", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          {
+            id: "oc_a",
+            memberAgents: ["main", "builder"],
+            taskTemplates: {
+              "Release-Check": {
+                summary: "发布检查",
+                assign: ["builder", "ghost"],
+                labels: ["Release"],
+                priority: "p1",
+                due: "1d",
+                subtasks: [{ summary: "构建" }, { id: "notes", summary: "说明", due: "soon" }, { id: "x" }]
+              },
+              empty: { labels: ["x"] }
+            }
+          }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  const { templates, errors } = normalized.teamroom.roomsById.oc_a.taskTemplates;
+  assert.deepEqual(Object.keys(templates), ["release-check"]);
+  const template = templates["release-check"];
+  assert.deepEqual(template.assignees, ["builder"]);
+  assert.deepEqual(template.labels, ["release"]);
+  assert.equal(template.dueMs, 86_400_000);
+  assert.deepEqual(template.subtasks.map((sub) => sub.key), ["1", "notes"]);
+  assert.equal(template.subtasks[1].dueMs, 0);
+  assert.ok(errors.some((e) => e.includes('assignee "ghost"')));
+  assert.ok(errors.some((e) => e.includes('invalid due offset "soon"')));
+  assert.ok(errors.some((e) => e.includes("subtask x: summary is required")));
+  assert.ok(errors.some((e) => e.includes("template empty: summary is required")));
+});
+
+test("normalizePluginConfig validates per-agent WIP limits against the workflow", () => {
+  const normalized = normalizePluginConfig(
+    {
+      teamroom: {
+        rooms: [
+          { id: "oc_a" },
+          { id: "oc_b", protocol: { wip: { maxPerAgent: 2, agents: { builder: 4, main: -1 }, statuses: ["doing", "done"] } } }
+        ]
+      }
+    },
+    { bindings: [] }
+  );
+  const { roomsById } = normalized.teamroom;
+  assert.deepEqual(roomsById.oc_a.protocol.wip, { maxPerAgent: 0, agents: {}, statuses: ["ack", "in_progress"], errors: [] });
+  const wip = roomsById.oc_b.protocol.wip;
+  assert.equal(wip.maxPerAgent, 2);
+  assert.deepEqual(wip.agents, { builder: 4, main: 0 });
+  assert.deepEqual(wip.statuses, ["in_progress"]);
+  assert.ok(wip.errors.some((e) => e.includes('wip status "done"')));
+  assert.ok(wip.errors.some((e) => e.includes("wip agent main")));
+});
+
+test("normalizePluginConfig clamps the claim lease", () => {
+  const normalized = normalizePluginConfig(
+    { teamroom: { rooms: [{ id: "oc_a" }, { id: "oc_b", protocol: { claim: { enabled: true, leaseSeconds: 5 } } }] } },
+    { bindings: [] }
+  );
+  const { roomsById } = normalized.teamroom;
+  assert.deepEqual(roomsById.oc_a.protocol.claim, { enabled: false, leaseSeconds: 1800 });
+  assert.deepEqual(roomsById.oc_b.protocol.claim, { enabled: true, leaseSeconds: 60 });
+});
+
+test("normalizePluginConfig clamps the context token budget and per-agent overrides", () => {
+  const defaults = normalizePluginConfig({}, { bindings: [] });
+  assert.deepEqual(defaults.teamroom.contextBudget, { maxTokens: 8000, agents: {}, errors: [] });
+  const normalized = normalizePluginConfig(
+    { teamroom: { contextBudget: { maxTokens: 100, agents: { researcher: 12000, builder: "many", "": 900 } } } },
+    { bindings: [] }
+  );
+  assert.deepEqual(normalized.teamroom.contextBudget, {
+    maxTokens: 500,
+    agents: { researcher: 12000, builder: 500 },
+    errors: []
+  });
+});
+
+test("normalizePluginConfig carries a deprecated contextMaxChars over to the token budget", () => {
+  const legacy = normalizePluginConfig({ teamroom: { contextMaxChars: 12000 } }, { bindings: [] });
+  assert.equal(legacy.teamroom.contextBudget.maxTokens, 12000);
+  assert.match(legacy.teamroom.contextBudget.errors[0], /contextMaxChars is deprecated; using it as contextBudget.maxTokens=12000/);
+  const both = normalizePluginConfig(
+    { teamroom: { contextMaxChars: 12000, contextBudget: { maxTokens: 6000 } } },
+    { bindings: [] }
+  );
+  assert.equal(both.teamroom.contextBudget.maxTokens, 6000);
+  assert.match(both.teamroom.contextBudget.errors[0], /ignored/);
+});
@@ -1,7 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { existsSync, mkdtempSync, readFileSync, rmSync } from "fs";
-import { tmpdir } from "os";
+import { homedir, tmpdir } from "os";
 import { join } from "path";
 import { normalizePluginConfig } from "../src/config.js";
 import { TeamChatState } from "../src/state.js";
@@ -53,6 +53,11 @@ function makeApi(config, pluginConfigOverride = {}, options = {}) {
   return { api, runtime, state, normalized, enqueued, commandRuns, logs };
 }
 
+function cleanRoomData(roomId) {
+  const dir = join(homedir(), ".openclaw", "plugin-data", "agent-teamchat", "rooms", roomId);
+  if (existsSync(dir)) rmSync(dir, { recursive: true, force: true });
+}
+
 const baseConfig = {
   bindings: [
     { agentId: "main", match: { channel: "feishu", accountId: "main-bot" } },
@@ -508,6 +513,7 @@ test("message_received can infer source agent via identity.agentSenderIds", asyn
 
 test("protocol signals are mirrored to main and visible in tasks command", async () => {
   const roomId = "oc_75bb8eb2cb0c150da669ec40656730c4";
+  cleanRoomData(roomId);
   const { runtime, enqueued } = makeApi(baseConfig, {
     identity: {
       enabled: false,
@@ -561,14 +567,15 @@ test("protocol signals are mirrored to main and visible in tasks command", async
   assert.match(builderResult.prependContext, /\[teamroom-context room=/);
 
   const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
-  assert.match(tasks.text, /T-100/);
-  assert.match(tasks.text, /status=in_progress/);
+  assert.match(tasks.text, /T-100 \[in_progress\]/);
+  assert.match(tasks.text, /researcher:in_progress/);
 });
 
 
 
 test("task command can create task by inferring room from conversation", () => {
   const roomId = "oc_75bb8eb2cb0c150da669ec40656730c4";
+  cleanRoomData(roomId);
   const { runtime } = makeApi(baseConfig, {
     identity: { enabled: false },
     teamroom: {
@@ -594,14 +601,13 @@ test("task command can create task by inferring room from conversation", () => {
   assert.match(created.text, /owner=researcher/);
 
   const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
-  assert.match(tasks.text, /T-200/);
-  assert.match(tasks.text, /status=create/);
+  assert.match(tasks.text, /T-200 \[create\] "手动 创建"/);
   assert.match(tasks.text, /owner=researcher/);
-  assert.match(tasks.text, /note=手动 创建/);
 });
 
-test("task command blocks creating a new active task when one is running", () => {
+test("task command keeps several tasks active on the board", () => {
   const roomId = "oc_75bb8eb2cb0c150da669ec40656730c4";
+  cleanRoomData(roomId);
   const { runtime } = makeApi(baseConfig, {
     identity: { enabled: false },
     teamroom: {
@@ -623,17 +629,27 @@ test("task command blocks creating a new active task when one is running", () =>
     senderName: "Finley"
   });
 
-  const conflict = runtime.commandHandler({
-    args: "task create T-261 owner=builder note=\"尝试新任务\"",
+  const second = runtime.commandHandler({
+    args: "task create T-261 owner=builder note=\"并行任务\"",
+    conversationId: `chat:${roomId}`,
+    senderName: "Finley"
+  });
+  assert.match(second.text, /task=T-261/);
+
+  const duplicate = runtime.commandHandler({
+    args: "task create T-260",
     conversationId: `chat:${roomId}`,
     senderName: "Finley"
   });
-  assert.match(conflict.text, /active task conflict/i);
-  assert.match(conflict.text, /active=T-260/);
+  assert.match(duplicate.text, /task already exists/);
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.match(tasks.text, /active=2/);
 });
 
 test("task command can update task status and note", () => {
   const roomId = "oc_75bb8eb2cb0c150da669ec40656730c4";
+  cleanRoomData(roomId);
   const { runtime } = makeApi(baseConfig, {
     identity: { enabled: false },
     teamroom: {
@@ -666,10 +682,45 @@ test("task command can update task status and note", () => {
 
   const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
   assert.match(tasks.text, /T-201/);
-  assert.match(tasks.text, /active=none/);
+  assert.match(tasks.text, /active=0/);
   assert.match(tasks.text, /lastClosed=T-201:done/);
 });
 
+test("task update command overrides open agent slots", async () => {
+  const roomId = "oc_taskoverride";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_builder_sender",
+      content: "[task] id=T-210 status=create note=接口联调\n[task] id=T-210 status=in_progress note=进行中",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-override-1", senderId: "ou_builder_sender" }
+    },
+    { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+  );
+  const updated = runtime.commandHandler({
+    args: "task update T-210 done 人工验收",
+    conversationId: `chat:${roomId}`,
+    senderName: "Finley"
+  });
+  assert.match(updated.text, /status=done/);
+  assert.match(updated.text, /closed=yes/);
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.match(tasks.text, /active=0/);
+  assert.match(tasks.text, /lastClosed=T-210:done/);
+  cleanRoomData(roomId);
+});
+
 test("task command requires room hint when multiple rooms and no conversation room", () => {
   const roomA = "oc_75bb8eb2cb0c150da669ec40656730c4";
   const roomB = "oc_75bb8eb2cb0c150da669ec4065673000";
@@ -805,3 +856,1181 @@ test("autopilot executes agent then message send when reply is not NO_REPLY (no
 
 
 
+test("task command rejects unknown dependencies", () => {
+  const roomId = "oc_75bb8eb2cb0c150da669ec40656730c4";
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const result = runtime.commandHandler({
+    args: "task create T-300 depends=T-missing note=依赖测试",
+    conversationId: `chat:${roomId}`,
+    senderName: "Finley"
+  });
+  assert.match(result.text, /task rejected/);
+  assert.match(result.text, /unknown dependency T-missing/);
+});
+
+test("task signals with parent= build a subtask tree on the board", async () => {
+  const roomId = "oc_subtask_room";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { main: "ou_main_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_main_sender",
+      content: "[task] id=R-1 status=create note=发版\n[task] id=R-1.a status=create parent=R-1 note=打包",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-subtask-1", senderId: "ou_main_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.match(tasks.text, /\n  R-1 \[/);
+  assert.match(tasks.text, /\n    └ R-1\.a \[/);
+  cleanRoomData(roomId);
+});
+
+test("sla sweep posts one reminder per room as the main account", async () => {
+  const roomId = "oc_sla_room";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder"],
+          protocol: { enabled: true, sla: { enabled: true, staleSeconds: 3600 } }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const created = runtime.commandHandler({
+    args: `task create D-1 owner=builder due=30m note=限时修复 room=${roomId}`,
+    senderName: "Finley"
+  });
+  assert.match(created.text, /due=\d{2}-\d{2} \d{2}:\d{2}/);
+  const invalid = runtime.commandHandler({ args: `task create D-2 due=soon room=${roomId}` });
+  assert.match(invalid.text, /invalid due: soon/);
+
+  const later = Date.now() + 3_600_000;
+  const records = await runtime.sweepTasks(later);
+  assert.equal(records.length, 1);
+  assert.equal(commandRuns.length, 1);
+  assert.equal(commandRuns[0][1], "message");
+  assert.match(commandRuns[0].join(" "), /--account main-bot/);
+  assert.match(records[0].text, /D-1 "限时修复": 已超过截止时间/);
+  assert.match(records[0].text, /@builder/);
+
+  // cooldown: a second sweep right after does not repeat the reminder
+  assert.equal((await runtime.sweepTasks(later + 1000)).length, 0);
+  cleanRoomData(roomId);
+});
+
+test("assign= pre-creates pending slots and rejects non-members", async () => {
+  const roomId = "oc_assign_room";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder", "researcher"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const rejected = runtime.commandHandler({ args: `task create A-9 assign=designer room=${roomId}` });
+  assert.match(rejected.text, /unknown assignee designer/);
+
+  const created = runtime.commandHandler({
+    args: `task create A-2 assign=builder,researcher note=接口联调 room=${roomId}`,
+    senderName: "Finley"
+  });
+  assert.match(created.text, /assign=builder,researcher/);
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_builder_sender",
+      content: "[task] id=A-2 status=done note=接口已完成",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-assign-1", senderId: "ou_builder_sender" }
+    },
+    { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.match(tasks.text, /A-2 \[create\]/);
+  assert.match(tasks.text, /researcher:pending\(0轮\)/);
+  cleanRoomData(roomId);
+});
+
+test("illegal workflow transitions are rejected and reported to the room", async () => {
+  const roomId = "oc_workflow_room";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns, logs } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { researcher: "ou_research_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "researcher"],
+          protocol: {
+            enabled: true,
+            workflow: {
+              statuses: ["draft", "reviewed", "published"],
+              aliases: { review: "reviewed" },
+              transitions: { draft: ["reviewed"], reviewed: ["published", "draft"] },
+              terminal: ["published"]
+            }
+          }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_research_sender",
+      content: "[task] id=R-7 status=draft note=初稿\n[task] id=R-7 status=published note=直接发布",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-workflow-1", senderId: "ou_research_sender" }
+    },
+    { channelId: "feishu", accountId: "research-bot", conversationId: `chat:${roomId}` }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.ok(logs.warn.some((line) => line.includes("illegal transition draft → published")));
+  const notice = commandRuns.find((argv) => argv[1] === "message");
+  assert.ok(notice);
+  assert.match(notice.join(" "), /任务状态未更新：R-7 \(researcher\)/);
+  assert.match(notice.join(" "), /--account main-bot/);
+
+  const update = runtime.commandHandler({ args: `task update R-7 review note=已审 room=${roomId}` });
+  assert.match(update.text, /status=reviewed/);
+  const invalid = runtime.commandHandler({ args: `task update R-7 done room=${roomId}` });
+  assert.match(invalid.text, /Allowed: draft\|reviewed\|published/);
+  cleanRoomData(roomId);
+});
+
+test("review gate dispatches the reviewer when a task is done", async () => {
+  const roomId = "oc_review_room";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(
+    baseConfig,
+    {
+      identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+      teamroom: {
+        enabled: true,
+        rooms: [
+          {
+            id: roomId,
+            memberAgents: ["main", "builder"],
+            protocol: { enabled: true, review: { enabled: true } }
+          }
+        ]
+      },
+      command: { enabled: true, name: "teamroom" }
+    },
+    {
+      commandRunner: (argv) =>
+        argv[1] === "agent"
+          ? { stdout: JSON.stringify({ reply: "NO_REPLY" }), stderr: "", code: 0 }
+          : { stdout: "", stderr: "", code: 0 }
+    }
+  );
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_builder_sender",
+      content: "[task] id=G-1 status=in_progress note=实现登录\n[task] id=G-1 status=done note=登录完成",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-review-1", senderId: "ou_builder_sender" }
+    },
+    { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const dispatch = commandRuns.find((argv) => argv[1] === "agent");
+  assert.ok(dispatch);
+  assert.equal(dispatch[3], "main");
+  assert.match(dispatch.join(" "), /G-1 .* 已完成，等待你审核/);
+  assert.match(dispatch.join(" "), /status=review_ok/);
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.match(tasks.text, /G-1 \[awaiting_review\]/);
+  cleanRoomData(roomId);
+});
+
+test("task update command logs a failed review dispatch instead of rejecting", async () => {
+  const roomId = "oc_reviewfail";
+  cleanRoomData(roomId);
+  const { runtime, logs } = makeApi(
+    baseConfig,
+    {
+      identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+      teamroom: {
+        enabled: true,
+        rooms: [
+          {
+            id: roomId,
+            memberAgents: ["main", "builder"],
+            protocol: { enabled: true, review: { enabled: true } }
+          }
+        ]
+      },
+      command: { enabled: true, name: "teamroom" }
+    },
+    { commandRunner: (argv) => (argv[1] === "agent" ? undefined : { stdout: "", stderr: "", code: 0 }) }
+  );
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_builder_sender",
+      content: "[task] id=G-2 status=in_progress note=实现登出",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-reviewfail-1", senderId: "ou_builder_sender" }
+    },
+    { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+  );
+  const updated = runtime.commandHandler({ args: `task update G-2 done room=${roomId}`, senderName: "Finley" });
+  assert.match(updated.text, /status=awaiting_review/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.ok(logs.warn.some((line) => /task follow-up failed: room=oc_reviewfail task=G-2 TypeError/.test(line)));
+  cleanRoomData(roomId);
+});
+
+test("review requests respect the room's dispatch budget", async () => {
+  const roomId = "oc_reviewbudget";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns, logs } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder"],
+          autopilot: { maxDispatchPerCycle: 1 },
+          protocol: { enabled: true, review: { enabled: true } }
+        }
+      ]
+    }
+  });
+  const done = (taskId, messageId) =>
+    runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content: `[task] id=${taskId} status=in_progress note=开始\n[task] id=${taskId} status=done note=完成`,
+        timestamp: Date.now(),
+        metadata: { messageId, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+    );
+
+  await done("RB-1", "msg-reviewbudget-1");
+  await done("RB-2", "msg-reviewbudget-2");
+  const dispatches = commandRuns.filter((argv) => argv[1] === "agent");
+  assert.equal(dispatches.length, 1);
+  assert.match(dispatches[0].join(" "), /RB-1 .* 已完成，等待你审核/);
+  assert.ok(logs.warn.some((line) => /review request skipped: room=oc_reviewbudget task=RB-2 .*dispatch limit reached \(1\)/.test(line)));
+  cleanRoomData(roomId);
+});
+
+test("history command filters closed tasks and task show prints the timeline", () => {
+  const roomId = "oc_history_room";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder", "researcher"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const run = (args, senderName) => runtime.commandHandler({ args: `${args} room=${roomId}`, senderName });
+  run("task create H-1 note=登录页改版", "main");
+  run("task update H-1 done note=登录页已上线", "builder");
+  run("task create H-2 note=调研竞品", "main");
+  run("task update H-2 done note=竞品报告完成", "researcher");
+  run("task create H-3 note=仍在进行", "main");
+
+  const all = runtime.commandHandler({ args: `history ${roomId}` });
+  assert.match(all.text, /history room=oc_history_room \(2\)/);
+  assert.match(all.text, /- H-2 \[done\] "调研竞品" \d+m · researcher,main · closed/);
+  assert.match(all.text, /  builder: 登录页已上线/);
+  assert.ok(all.text.indexOf("H-2") < all.text.indexOf("H-1"));
+
+  const byAgent = runtime.commandHandler({ args: `history ${roomId} agent=builder` });
+  assert.match(byAgent.text, /H-1/);
+  assert.doesNotMatch(byAgent.text, /H-2/);
+  const byText = runtime.commandHandler({ args: `history ${roomId} q=竞品 since=1d status=finished` });
+  assert.match(byText.text, /\(1\)/);
+  assert.match(runtime.commandHandler({ args: `history ${roomId} since=soon` }).text, /invalid since/);
+
+  const shown = runtime.commandHandler({ args: `task show H-1 room=${roomId}` });
+  assert.match(shown.text, /task H-1 \[done\] "登录页改版" \(archived\)/);
+  assert.match(shown.text, /\d{2}-\d{2} \d{2}:\d{2} main create — 登录页改版/);
+  assert.match(shown.text, /builder done — 登录页已上线/);
+  assert.match(runtime.commandHandler({ args: `task show H-3 room=${roomId}` }).text, /\(active\)/);
+  assert.match(runtime.commandHandler({ args: `task show H-9 room=${roomId}` }).text, /task not found/);
+  cleanRoomData(roomId);
+});
+
+test("priority= orders /teamroom tasks and rejects unknown levels", async () => {
+  const roomId = "oc_priority_room";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { main: "ou_main_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  runtime.commandHandler({ args: `task create Q-1 note=周报 room=${roomId}` });
+  const urgent = runtime.commandHandler({ args: `task create Q-2 priority=p0 note=修复线上问题 room=${roomId}` });
+  assert.match(urgent.text, /priority=p0/);
+  const invalid = runtime.commandHandler({ args: `task create Q-3 priority=urgent room=${roomId}` });
+  assert.match(invalid.text, /invalid priority urgent/);
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_main_sender",
+      content: "[task] id=Q-1 status=ack priority=p1 note=提前",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-priority-1", senderId: "ou_main_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId}` });
+  assert.ok(tasks.text.indexOf("Q-2 [create] p0") < tasks.text.indexOf("Q-1 [ack] p1"));
+  cleanRoomData(roomId);
+});
+
+test("labels= on signals and commands drives /teamroom tasks label= and agent interests", async () => {
+  const roomId = "oc_labelroom";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { main: "ou_main_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder"],
+          agentLabels: { builder: ["backend"] },
+          protocol: { enabled: true }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const created = runtime.commandHandler({ args: `task create LB-1 labels=frontend note=首页改版 room=${roomId}` });
+  assert.match(created.text, /labels=frontend/);
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_main_sender",
+      content: "[task] id=LB-2 status=create labels=backend,db note=慢查询优化",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-label-1", senderId: "ou_main_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const filtered = runtime.commandHandler({ args: `tasks ${roomId} label=db` });
+  assert.match(filtered.text, /LB-2/);
+  assert.doesNotMatch(filtered.text, /LB-1/);
+
+  const result = runtime.beforeAgentStart({}, { agentId: "builder", sessionKey: `feishu:builder-bot:chat:${roomId}` });
+  assert.match(result.prependContext, /LB-2 \[create\] "慢查询优化" #backend #db/);
+  assert.doesNotMatch(result.prependContext, /LB-1/);
+  cleanRoomData(roomId);
+});
+
+test("task from-template creates the task tree and announces it in the room", async () => {
+  const roomId = "oc_templateroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder", "researcher"],
+          protocol: { enabled: true },
+          taskTemplates: {
+            digest: {
+              summary: "每周调研摘要",
+              labels: ["research"],
+              due: "2d",
+              subtasks: [
+                { id: "collect", summary: "收集资料", assign: ["researcher"] },
+                { id: "review", summary: "审阅", assign: ["main"] }
+              ]
+            }
+          }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const created = runtime.commandHandler({ args: `task from-template digest D-42 room=${roomId}` });
+  assert.match(created.text, /from template digest .*D-42, D-42\.collect, D-42\.review/);
+  await new Promise((resolve) => setImmediate(resolve));
+  const notice = commandRuns.find((argv) => argv[1] === "message");
+  assert.ok(notice);
+  assert.match(notice.join(" "), /新任务（模板 digest）：D-42 "每周调研摘要" 截止/);
+  assert.match(notice.join(" "), /└ D-42\.collect "收集资料" @researcher/);
+  assert.match(notice.join(" "), /--account main-bot/);
+
+  const tasks = runtime.commandHandler({ args: `tasks ${roomId} label=research` });
+  assert.match(tasks.text, /active=3/);
+  const again = runtime.commandHandler({ args: `task from-template digest D-42 room=${roomId}` });
+  assert.match(again.text, /template rejected .*task already exists/);
+  const unknown = runtime.commandHandler({ args: `task from-template weekly D-43 room=${roomId}` });
+  assert.match(unknown.text, /unknown template weekly .*available: digest/);
+  cleanRoomData(roomId);
+});
+
+test("WIP limit rejects an ack with a room notice and /teamroom agents reports workload", async () => {
+  const roomId = "oc_wiproom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder"],
+          protocol: { enabled: true, wip: { maxPerAgent: 1 } }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  const signal = (messageId, content) =>
+    runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content,
+        timestamp: Date.now(),
+        metadata: { messageId, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+
+  await signal("msg-wip-1", "[task] id=WP-1 status=in_progress note=实现登录");
+  await signal("msg-wip-2", "[task] id=WP-2 status=ack note=再接一个");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const notice = commandRuns.find((argv) => argv[1] === "message");
+  assert.ok(notice);
+  assert.match(notice.join(" "), /任务状态未更新：WP-2 \(builder\) builder already holds 1 task\(s\) .*WP-1.*WIP limit 1/);
+  assert.equal(runtime.commandHandler({ args: `task show WP-2 room=${roomId}` }).text, `[teamchat] task not found room=${roomId} task=WP-2`);
+
+  const report = runtime.commandHandler({ args: `agents ${roomId}` });
+  assert.match(report.text, /agents room=oc_wiproom/);
+  assert.match(report.text, /- builder: open=1 \(WP-1\) blocked=0 wip=1\/1 avgDone=-/);
+  assert.match(report.text, /- main: open=0 blocked=0 wip=0\/1/);
+  cleanRoomData(roomId);
+});
+
+test("status=claim leases a task, tells later claimers and the sweeper releases it", async () => {
+  const roomId = "oc_claimroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: {
+      enabled: false,
+      agentSenderIds: { builder: "ou_builder_sender", researcher: "ou_research_sender" }
+    },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder", "researcher"],
+          protocol: { enabled: true, claim: { enabled: true, leaseSeconds: 600 } }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  const signal = (messageId, senderId, content) =>
+    runtime.messageReceived(
+      { from: `feishu:${senderId}`, content, timestamp: Date.now(), metadata: { messageId, senderId } },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+
+  runtime.commandHandler({ args: `task create CL-1 note=排查慢查询 room=${roomId}` });
+  await signal("msg-claim-1", "ou_builder_sender", "[task] id=CL-1 status=claim note=我来");
+  await signal("msg-claim-2", "ou_research_sender", "[task] id=CL-1 status=claim note=我也可以");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const rejection = commandRuns.find((argv) => argv[1] === "message");
+  assert.ok(rejection);
+  assert.match(rejection.join(" "), /CL-1 \(researcher\) task is claimed by builder until/);
+  assert.match(runtime.commandHandler({ args: `tasks ${roomId}` }).text, /🔒 builder 认领至/);
+
+  const records = await runtime.sweepTasks(Date.now() + 601_000);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].released, 1);
+  assert.match(records[0].text, /CL-1 "排查慢查询"：builder 的认领超时未更新/);
+  assert.match(commandRuns.at(-1).join(" "), /任务认领已过期/);
+  assert.doesNotMatch(runtime.commandHandler({ args: `tasks ${roomId}` }).text, /🔒/);
+  cleanRoomData(roomId);
+});
+
+test("task sweeper runs often enough to release claim leases on time", () => {
+  const { runtime } = makeApi(baseConfig, {
+    teamroom: {
+      enabled: true,
+      rooms: [
+        { id: "oc_sweepsla", memberAgents: ["main"], protocol: { enabled: true, sla: { enabled: true } } },
+        { id: "oc_sweepclaim", memberAgents: ["main"], protocol: { enabled: true, claim: { enabled: true, leaseSeconds: 120 } } }
+      ]
+    }
+  });
+  const originalSetInterval = globalThis.setInterval;
+  const delays = [];
+  globalThis.setInterval = (fn, delay) => {
+    delays.push(delay);
+    return originalSetInterval(fn, delay);
+  };
+  try {
+    runtime.startTaskSweeper();
+  } finally {
+    globalThis.setInterval = originalSetInterval;
+    runtime.stopTaskSweeper();
+  }
+  assert.deepEqual(delays, [60_000]);
+});
+
+test("status=claim works on a task created by a create signal", async () => {
+  const roomId = "oc_claimsignal";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { main: "ou_main_sender", builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        {
+          id: roomId,
+          memberAgents: ["main", "builder"],
+          protocol: { enabled: true, claim: { enabled: true, leaseSeconds: 600 } }
+        }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  const signal = (messageId, senderId, content) =>
+    runtime.messageReceived(
+      { from: `feishu:${senderId}`, content, timestamp: Date.now(), metadata: { messageId, senderId } },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+
+  await signal("msg-claimsig-1", "ou_main_sender", "[task] id=CS-1 status=create note=排查慢查询");
+  await signal("msg-claimsig-2", "ou_builder_sender", "[task] id=CS-1 status=claim note=我来");
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.doesNotMatch(commandRuns.map((argv) => argv.join(" ")).join("\n"), /claimed by main/);
+  assert.match(runtime.commandHandler({ args: `tasks ${roomId}` }).text, /🔒 builder 认领至/);
+  cleanRoomData(roomId);
+});
+
+test("task move and handoff= transfer tasks between rooms with notices in both", async () => {
+  const researchRoom = "oc_handoffresearch";
+  const buildRoom = "oc_handoffbuild";
+  cleanRoomData(researchRoom);
+  cleanRoomData(buildRoom);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { researcher: "ou_research_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [
+        { id: researchRoom, memberAgents: ["main", "researcher"], protocol: { enabled: true } },
+        { id: buildRoom, memberAgents: ["main", "builder", "researcher"], protocol: { enabled: true } }
+      ]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  runtime.commandHandler({ args: `task create H-1 assign=researcher note=竞品调研 room=${researchRoom}` });
+  const moved = runtime.commandHandler({ args: `task move H-1 room=${buildRoom} from=${researchRoom} note=转开发` });
+  assert.match(moved.text, /task moved task=H-1 from=oc_handoffresearch to=oc_handoffbuild/);
+  await new Promise((resolve) => setImmediate(resolve));
+  const notices = commandRuns.filter((argv) => argv[1] === "message").map((argv) => argv.join(" "));
+  assert.equal(notices.length, 2);
+  assert.match(notices[0], /任务已移交：H-1 "竞品调研" → 群 oc_handoffbuild（.*）：转开发/);
+  assert.match(notices[0], /--target oc_handoffresearch /);
+  assert.match(notices[1], /--target oc_handoffbuild /);
+  assert.match(notices[1], /收到移交任务：H-1 \[create\] "竞品调研"，来自群 oc_handoffresearch/);
+  assert.match(notices[1], /@researcher/);
+  assert.match(runtime.commandHandler({ args: `task show H-1 room=${researchRoom}` }).text, /\[moved\].*\n.*movedTo=oc_handoffbuild/);
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_research_sender",
+      content: `[task] id=H-1 status=ack handoff=${researchRoom} note=还是回调研群`,
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-handoff-1", senderId: "ou_research_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${buildRoom}` }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.match(runtime.commandHandler({ args: `tasks ${researchRoom}` }).text, /H-1 \[ack\]/);
+  // The tombstone left behind by the move back does not count as a closed task
+  assert.match(runtime.commandHandler({ args: `tasks ${buildRoom}` }).text, /active=0 closed=0$/);
+  const rejected = runtime.commandHandler({ args: `task move H-1 room=oc_missingroom from=${researchRoom}` });
+  assert.match(rejected.text, /move rejected .*room oc_missingroom not found/);
+  cleanRoomData(researchRoom);
+  cleanRoomData(buildRoom);
+});
+
+test("fenced task JSON blocks are applied and invalid blocks are reported to the sender", async () => {
+  const roomId = "oc_jsonsignalroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns, logs } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true, feedback: { postToRoom: true } } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  const send = (messageId, content) =>
+    runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content,
+        timestamp: Date.now(),
+        metadata: { messageId, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+
+  await send(
+    "msg-json-1",
+    [
+      "开始处理：",
+      "```task",
+      JSON.stringify({
+        id: "J-1",
+        status: "in_progress",
+        note: "修复 note= 之后的字段 priority=p3 不再被吞掉",
+        priority: "p1",
+        labels: ["Backend"],
+        links: ["https://example.com/issue/1"]
+      }),
+      "```"
+    ].join("\n")
+  );
+  const shown = runtime.commandHandler({ args: `task show J-1 room=${roomId}` }).text;
+  assert.match(shown, /J-1 \[in_progress\] "修复 note= 之后的字段 priority=p3 不再被吞掉"/);
+  assert.match(shown, /links=https:\/\/example\.com\/issue\/1/);
+  assert.match(runtime.commandHandler({ args: `tasks ${roomId}` }).text, /J-1 \[in_progress\] p1 ".*" #backend/);
+
+  await send("msg-json-2", '```task\n{"id": "J-2", "status": "ack",}\n```\n```task\n[{"id": "J-3", "status": "ack", "owner": "x"}]\n```');
+  await new Promise((resolve) => setImmediate(resolve));
+  const notice = commandRuns.find((argv) => argv[1] === "message");
+  assert.ok(notice);
+  const text = notice.join(" ");
+  assert.match(text, /@builder 任务信号未生效/);
+  assert.match(text, /task block 1: invalid JSON/);
+  assert.match(text, /task block 2 id=J-3: unknown field owner/);
+  assert.ok(logs.warn.some((line) => line.includes("invalid task signal from=builder")));
+  assert.equal(runtime.commandHandler({ args: `task show J-2 room=${roomId}` }).text, `[teamchat] task not found room=${roomId} task=J-2`);
+
+  // The fenced example in the notice is itself a valid signal
+  const message = notice[notice.indexOf("--message") + 1];
+  const example = message.match(/```task[\s\S]*?```/)[0];
+  await send("msg-json-3", example.replace("T-1", "J-1"));
+  assert.match(runtime.commandHandler({ args: `task show J-1 room=${roomId}` }).text, /builder ack — \.\.\./);
+  cleanRoomData(roomId);
+});
+
+test("rejected and malformed signals are fed back into the sender's next prompt", async () => {
+  const roomId = "oc_feedbackroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_builder_sender",
+      content: "[task] status=ack note=忘了写 id\n[task] id=FB-1 status=done note=收尾",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-feedback-1", senderId: "ou_builder_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+  );
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(commandRuns.filter((argv) => argv[1] === "message").length, 0);
+
+  const first = runtime.beforeAgentStart({}, { agentId: "builder", sessionKey: `feishu:builder-bot:chat:${roomId}` });
+  assert.match(first.prependContext, /\[task-signal-feedback\]/);
+  assert.match(first.prependContext, /"\[task\] status=ack note=忘了写 id": missing id=/);
+  assert.match(first.prependContext, /\[task\] id=FB-1 status=done → task not found/);
+  assert.match(first.prependContext, /有效格式：\n\[task\] id=<task_id> status=/);
+  // Delivered once; nothing new to read afterwards
+  assert.equal(
+    runtime.beforeAgentStart({}, { agentId: "builder", sessionKey: `feishu:builder-bot:chat:${roomId}` }),
+    undefined
+  );
+  cleanRoomData(roomId);
+});
+
+test("board message is posted and pinned once, then edited, with a fresh post when editing fails", async () => {
+  const roomId = "oc_boardmsgroom";
+  cleanRoomData(roomId);
+  let editFails = false;
+  const { runtime, commandRuns, logs } = makeApi(
+    baseConfig,
+    {
+      teamroom: {
+        enabled: true,
+        rooms: [
+          {
+            id: roomId,
+            memberAgents: ["main", "builder"],
+            protocol: { enabled: true, boardMessage: { enabled: true, throttleSeconds: 3600 } }
+          }
+        ]
+      },
+      command: { enabled: true, name: "teamroom" }
+    },
+    {
+      commandRunner: (argv) => {
+        if (argv[2] === "edit" && editFails) return { stdout: "", stderr: "edit unsupported", code: 1 };
+        const stdout = argv[2] === "send" ? JSON.stringify({ ok: true, messageId: `om_board_${commandRuns.length}` }) : "";
+        return { stdout, stderr: "", code: 0 };
+      }
+    }
+  );
+  const boardRuns = () => commandRuns.filter((argv) => argv[1] === "message" && argv.join(" ").includes("任务看板"));
+
+  runtime.commandHandler({ args: `task create BM-1 assign=builder note=看板消息 room=${roomId}` });
+  runtime.commandHandler({ args: `task create BM-2 assign=builder note=第二个 room=${roomId}` });
+  // Both changes share one throttled refresh
+  const first = await runtime.flushBoardMessages();
+  assert.equal(first.length, 1);
+  assert.equal(first[0].detail, "sent");
+  assert.equal(boardRuns().length, 1);
+  assert.ok(boardRuns()[0].includes("--json"));
+  assert.match(boardRuns()[0].join(" "), /BM-1.*\n.*BM-2/s);
+  const messageId = first[0].messageId;
+  const pin = commandRuns.find((argv) => argv[2] === "pin");
+  assert.deepEqual(pin.slice(pin.indexOf("--message-id"), pin.indexOf("--message-id") + 2), ["--message-id", messageId]);
+  assert.deepEqual(await runtime.flushBoardMessages(), []);
+
+  runtime.commandHandler({ args: `task create BM-3 assign=builder note=第三个 room=${roomId}` });
+  const second = await runtime.flushBoardMessages();
+  assert.equal(second[0].detail, "edited");
+  const edit = boardRuns().at(-1);
+  assert.equal(edit[2], "edit");
+  assert.equal(edit[edit.indexOf("--message-id") + 1], messageId);
+
+  editFails = true;
+  runtime.commandHandler({ args: `task create BM-4 assign=builder note=第四个 room=${roomId}` });
+  const third = await runtime.flushBoardMessages();
+  assert.equal(third[0].detail, "sent");
+  assert.notEqual(third[0].messageId, messageId);
+  assert.deepEqual(boardRuns().slice(-2).map((argv) => argv[2]), ["edit", "send"]);
+  assert.ok(logs.warn.some((line) => line.includes("board message edit failed")));
+  runtime.stopTaskSweeper();
+  cleanRoomData(roomId);
+});
+
+test("export tasks writes md, csv and json files with per-slot rounds", () => {
+  const roomId = "oc_exportroom";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const run = (args, senderName) => runtime.commandHandler({ args: `${args} room=${roomId}`, senderName });
+  run("task create E-1 labels=release note=发布检查,第一轮", "main");
+  run("task update E-1 in_progress note=开始", "builder");
+  run("task update E-1 done note=完成", "builder");
+  run("task create E-2 note=仍在进行", "main");
+
+  const md = runtime.commandHandler({ args: `export tasks ${roomId}` });
+  assert.match(md.text, /exported room=oc_exportroom active=1 archived=1 format=md/);
+  const mdPath = md.text.split("\n")[1];
+  assert.match(mdPath, /rooms\/oc_exportroom\/exports\/tasks-.*\.md$/);
+  const mdContent = readFileSync(mdPath, "utf8");
+  assert.match(mdContent, /## 已归档（1）/);
+  assert.match(mdContent, /\| E-1 \| done \| 发布检查,第一轮 \| .* \| #release \|.*builder: done \/ 2轮/);
+  assert.match(md.text, /# 任务导出 oc_exportroom/);
+
+  const csv = runtime.commandHandler({ args: `export tasks format=csv room=${roomId}` });
+  const rows = readFileSync(csv.text.split("\n")[1], "utf8").trim().split("\n");
+  assert.equal(rows[0].split(",")[0], "room");
+  const archivedRow = rows.find((row) => row.startsWith("oc_exportroom,archived,E-1,"));
+  assert.match(archivedRow, /^oc_exportroom,archived,E-1,,done,"发布检查,第一轮",p2,release,.*,builder,done,2,\d+,完成$/);
+  assert.ok(rows.some((row) => row.startsWith("oc_exportroom,active,E-2,")));
+
+  const json = JSON.parse(readFileSync(run("export tasks format=json since=1d").text.split("\n")[1], "utf8"));
+  assert.equal(json.archived[0].taskId, "E-1");
+  assert.equal(json.active[0].taskId, "E-2");
+  assert.match(run("export tasks format=pdf").text, /invalid format: pdf/);
+  assert.match(runtime.commandHandler({ args: "export notes" }).text, /usage: \/teamroom export tasks/);
+  cleanRoomData(roomId);
+});
+
+test("stats reports room and per-agent metrics over the requested window", () => {
+  const roomId = "oc_statsroom";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder", "researcher"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+
+  const run = (args, senderName) => runtime.commandHandler({ args: `${args} room=${roomId}`, senderName });
+  run("task create S-1 note=统计", "main");
+  run("task update S-1 blocked note=等接口", "builder");
+  run("task update S-1 done note=完成", "builder");
+  run("task create S-2 note=进行中", "main");
+
+  const stats = run("stats days=14");
+  assert.match(stats.text, /stats room=oc_statsroom days=14 \(since /);
+  assert.match(stats.text, /- room: closed=1 throughput=0\.1\/d leadTime=\d+m blocked=\d+m rework=0/);
+  assert.match(stats.text, /- builder: closed=1 /);
+  assert.match(stats.text, /- researcher: closed=0 throughput=0\.0\/d leadTime=- /);
+  assert.match(run("stats days=0").text, /invalid days: 0/);
+  cleanRoomData(roomId);
+});
+
+test("reopen signal and task reopen restore an archived task and announce it", async () => {
+  const roomId = "oc_reopenroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "builder"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  const send = (content, messageId) =>
+    runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content,
+        timestamp: Date.now(),
+        metadata: { messageId, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+
+  await send("[task] id=RO-1 status=in_progress note=接口联调", "msg-reopen-1");
+  await send("[task] id=RO-1 status=done note=联调完成", "msg-reopen-2");
+  assert.match(runtime.commandHandler({ args: `history ${roomId}` }).text, /RO-1 \[done\]/);
+
+  await send("[task] id=RO-1 status=reopen note=线上还有报错", "msg-reopen-3");
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.match(runtime.commandHandler({ args: `tasks ${roomId}` }).text, /RO-1 \[in_progress\]/);
+  assert.match(runtime.commandHandler({ args: `history ${roomId}` }).text, /no closed tasks/);
+  const notice = commandRuns.find((argv) => argv[1] === "message" && argv.join(" ").includes("任务已重新打开"));
+  assert.match(notice.join(" "), /RO-1 \[in_progress\] "接口联调"，由 builder 重开：线上还有报错/);
+  const shown = runtime.commandHandler({ args: `task show RO-1 room=${roomId}` });
+  assert.match(shown.text, /builder reopen — 线上还有报错/);
+
+  const rejected = runtime.commandHandler({ args: `task reopen RO-1 room=${roomId}` });
+  assert.match(rejected.text, /reopen rejected room=oc_reopenroom task=RO-1: task RO-1 is already on the board/);
+  await send("[task] id=RO-1 status=done note=已修复", "msg-reopen-4");
+  const reopened = runtime.commandHandler({ args: `task reopen RO-1 note=再观察一天 room=${roomId}`, senderName: "main" });
+  assert.match(reopened.text, /task reopened room=oc_reopenroom task=RO-1 status=in_progress/);
+  cleanRoomData(roomId);
+});
+
+test("search command lists matching messages with time, sender and id", async () => {
+  const roomId = "oc_searchroom";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { researcher: "ou_research_sender" } },
+    teamroom: {
+      enabled: true,
+      rooms: [{ id: roomId, memberAgents: ["main", "researcher"], protocol: { enabled: true } }]
+    },
+    command: { enabled: true, name: "teamroom" }
+  });
+  await runtime.messageReceived(
+    {
+      from: "feishu:ou_research_sender",
+      content: "支付接口的限流阈值建议调到 200 qps",
+      timestamp: Date.now(),
+      metadata: { messageId: "msg-search-1", senderId: "ou_research_sender" }
+    },
+    { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+  );
+
+  const found = runtime.commandHandler({ args: `search 限流 ${roomId} from=researcher since=1d` });
+  assert.match(found.text, /search room=oc_searchroom q="限流" \(1\)/);
+  assert.match(found.text, /- \d{2}-\d{2} \d{2}:\d{2} researcher: 支付接口的限流阈值建议调到 200 qps \(msg:oc_searchroom:\d+:\d+\)/);
+  assert.match(runtime.commandHandler({ args: `search 限流 ${roomId} from=main` }).text, /no messages match "限流"/);
+  assert.match(runtime.commandHandler({ args: `search ${roomId}` }).text, /usage: \/teamroom search <query>/);
+  assert.match(runtime.commandHandler({ args: `search 限流 ${roomId} since=later` }).text, /invalid since: later/);
+  cleanRoomData(roomId);
+});
+
+test("teamroom_history tool pages the room cache for member agents only", async () => {
+  const roomId = "oc_historytool";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { researcher: "ou_research_sender" } },
+    teamroom: {
+      enabled: true,
+      historyTool: { maxLimit: 5 },
+      rooms: [{ id: roomId, memberAgents: ["main", "researcher"] }]
+    }
+  });
+  const now = Date.now();
+  for (let i = 1; i <= 7; i += 1) {
+    await runtime.messageReceived(
+      {
+        from: "feishu:ou_research_sender",
+        content: `调研进度 ${i}`,
+        timestamp: now - (8 - i) * 1000,
+        metadata: { messageId: `msg-history-${i}`, senderId: "ou_research_sender" }
+      },
+      { channelId: "feishu", accountId: "main-bot", conversationId: `chat:${roomId}` }
+    );
+  }
+
+  assert.equal(runtime.createHistoryTool({ agentId: "outsider" }), null);
+  const tool = runtime.createHistoryTool({ agentId: "main", sessionKey: `agent:main:feishu:group:${roomId}` });
+  assert.equal(tool.name, "teamroom_history");
+  const page = await tool.execute("call-1", { limit: 50 });
+  assert.equal(page.details.count, 5);
+  assert.equal(page.details.hasMore, true);
+  assert.match(page.content[0].text, /^\[teamroom-history room=oc_historytool count=5 hasMore=true nextBefore=msg:oc_historytool:/);
+  assert.match(page.content[0].text, /\[\d{2}-\d{2} \d{2}:\d{2} researcher\] 调研进度 7 \(msg:/);
+  const older = await tool.execute("call-2", { before: page.details.nextBefore });
+  assert.deepEqual(older.content[0].text.match(/调研进度 \d/g), ["调研进度 1", "调研进度 2"]);
+  assert.equal(older.details.hasMore, false);
+
+  const denied = await tool.execute("call-3", { roomId: "oc_otherroom" });
+  assert.match(denied.content[0].text, /agent main is not a member of room oc_otherroom/);
+  const invalid = await tool.execute("call-4", { since: "later" });
+  assert.match(invalid.content[0].text, /invalid since: later/);
+  cleanRoomData(roomId);
+});
+
+test("context summary: skipped messages are summarized and injected ahead of the tail", async () => {
+  const roomId = "oc_summaryroom";
+  cleanRoomData(roomId);
+  const { runtime, commandRuns } = makeApi(
+    baseConfig,
+    {
+      identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+      teamroom: {
+        enabled: true,
+        contextBudget: { maxTokens: 1200 },
+        rooms: [
+          {
+            id: roomId,
+            memberAgents: ["main", "builder", "researcher"],
+            protocol: { enabled: true, contextSummary: { enabled: true, maxChars: 300 } }
+          }
+        ]
+      }
+    },
+    {
+      commandRunner: (argv) =>
+        argv[1] === "agent"
+          ? { stdout: JSON.stringify({ payloads: [{ text: '{"summary":"builder 在排查支付回调超时"}' }] }), stderr: "", code: 0 }
+          : { stdout: "", stderr: "", code: 0 }
+    }
+  );
+  const now = Date.now();
+  for (let i = 1; i <= 3; i += 1) {
+    await runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content: `支付回调排查记录 ${i}：${"日志".repeat(250)}`,
+        timestamp: now - (4 - i) * 1000,
+        metadata: { messageId: `msg-summary-${i}`, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+    );
+  }
+
+  const first = runtime.beforeAgentStart({}, { agentId: "main", sessionKey: `feishu:main-bot:chat:${roomId}` });
+  assert.match(first.prependContext, /unread=3 skipped=2 tokens=\d+\/1200 guide=\d+ feedback=0 summary=0 messages=\d+ board=0 wrapper=\d+\]/);
+  await runtime.flushContextSummaries();
+  const run = commandRuns.find((argv) => argv[1] === "agent");
+  assert.equal(run[3], "main");
+  assert.match(run[5], /新消息（2 条）/);
+  assert.match(run[5], /支付回调排查记录 2/);
+
+  const second = runtime.beforeAgentStart({}, { agentId: "researcher", sessionKey: `feishu:research-bot:chat:${roomId}` });
+  assert.match(second.prependContext, /skipped=2 summarized=2 tokens=[^\]]+\]\n\[summary of 2 earlier messages, until \d{2}:\d{2}\] builder 在排查支付回调超时/);
+  await runtime.flushContextSummaries();
+  assert.equal(commandRuns.filter((argv) => argv[1] === "agent").length, 1);
+  cleanRoomData(roomId);
+});
+
+test("context budget covers guide, messages and board per agent and reports the spend", async () => {
+  const roomId = "oc_budgetroom";
+  cleanRoomData(roomId);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      contextBudget: { maxTokens: 4000, agents: { researcher: 800 } },
+      rooms: [{ id: roomId, memberAgents: ["main", "builder", "researcher"], protocol: { enabled: true } }]
+    }
+  });
+  const now = Date.now();
+  const contents = [
+    "[task] id=BG-1 status=create assign=researcher note=整理竞品",
+    ...[1, 2, 3].map((i) => `竞品调研第${i}部分：${"价格与功能对比".repeat(20)}`)
+  ];
+  for (const [i, content] of contents.entries()) {
+    await runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content,
+        timestamp: now - (contents.length - i) * 1000,
+        metadata: { messageId: `msg-budget-${i}`, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+    );
+  }
+
+  const header = (result) => result.prependContext.match(/\[teamroom-context [^\]]+\]/)[0];
+  const parts = (text) => Object.fromEntries([...text.matchAll(/(\w+)=(\d+)/g)].map(([, k, v]) => [k, Number(v)]));
+  const researcher = header(runtime.beforeAgentStart({}, { agentId: "researcher", sessionKey: `feishu:research-bot:chat:${roomId}` }));
+  const spent = parts(researcher);
+  assert.match(researcher, /unread=5 skipped=\d tokens=\d+\/800 guide=\d+ feedback=0 summary=0 messages=\d+ board=\d+ wrapper=\d+/);
+  assert.ok(spent.board > 0);
+  assert.ok(spent.tokens <= 800);
+  assert.equal(spent.tokens, spent.guide + spent.messages + spent.board + spent.wrapper);
+
+  const main = runtime.beforeAgentStart({}, { agentId: "main", sessionKey: `feishu:main-bot:chat:${roomId}` });
+  assert.match(header(main), /unread=5 tokens=\d+\/4000 /);
+  assert.match(main.prependContext, /竞品调研第1部分/);
+  cleanRoomData(roomId);
+});
+
+test("context summary: a backlog larger than one batch is folded in over several runs", async () => {
+  const roomId = "oc_summarybatch";
+  cleanRoomData(roomId);
+  let runs = 0;
+  const { runtime, commandRuns } = makeApi(
+    baseConfig,
+    {
+      identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+      teamroom: {
+        enabled: true,
+        contextBudget: { maxTokens: 1200 },
+        rooms: [{ id: roomId, memberAgents: ["main", "builder", "researcher"], protocol: { contextSummary: { enabled: true } } }]
+      }
+    },
+    {
+      commandRunner: (argv) => {
+        if (argv[1] !== "agent") return { stdout: "", stderr: "", code: 0 };
+        runs += 1;
+        return { stdout: JSON.stringify({ payloads: [{ text: `{"summary":"第${runs}次汇总"}` }] }), stderr: "", code: 0 };
+      }
+    }
+  );
+  const now = Date.now();
+  for (let i = 1; i <= 35; i += 1) {
+    await runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content: `排查记录 ${i}：${"日志".repeat(200)}`,
+        timestamp: now - (36 - i) * 1000,
+        metadata: { messageId: `msg-batch-${i}`, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+    );
+  }
+
+  const first = runtime.beforeAgentStart({}, { agentId: "main", sessionKey: `feishu:main-bot:chat:${roomId}` });
+  const skipped = Number(first.prependContext.match(/skipped=(\d+)/)[1]);
+  assert.ok(skipped > 30);
+  await runtime.flushContextSummaries();
+  const prompts = commandRuns.filter((argv) => argv[1] === "agent").map((argv) => argv[5]);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /第1次汇总/);
+  assert.match(prompts[1], new RegExp(`排查记录 ${skipped}：`));
+
+  const second = runtime.beforeAgentStart({}, { agentId: "researcher", sessionKey: `feishu:research-bot:chat:${roomId}` });
+  assert.match(second.prependContext, new RegExp(`summarized=${skipped} .*\\n\\[summary of ${skipped} earlier messages, until \\d{2}:\\d{2}\\] 第2次汇总`));
+  cleanRoomData(roomId);
+});
+
+test("context budget reserves the full header cost for long room ids", async () => {
+  const roomId = "oc_0123456789abcdef0123456789abcdef";
+  cleanRoomData(roomId);
+  // Budgets a token apart, so one of them is filled by messages to the last token
+  const readers = Array.from({ length: 12 }, (_, i) => `reader${i}`);
+  const { runtime } = makeApi(baseConfig, {
+    identity: { enabled: false, agentSenderIds: { builder: "ou_builder_sender" } },
+    teamroom: {
+      enabled: true,
+      contextBudget: { maxTokens: 4000, agents: Object.fromEntries(readers.map((id, i) => [id, 500 + i])) },
+      rooms: [{ id: roomId, memberAgents: ["main", "builder", ...readers], protocol: { enabled: true } }]
+    }
+  });
+  const now = Date.now();
+  for (let i = 1; i <= 50; i += 1) {
+    await runtime.messageReceived(
+      {
+        from: "feishu:ou_builder_sender",
+        content: `进度 ${i}`,
+        timestamp: now - (51 - i) * 1000,
+        metadata: { messageId: `msg-header-${i}`, senderId: "ou_builder_sender" }
+      },
+      { channelId: "feishu", accountId: "builder-bot", conversationId: `chat:${roomId}` }
+    );
+  }
+  for (const [i, agentId] of readers.entries()) {
+    const result = runtime.beforeAgentStart({}, { agentId, sessionKey: `feishu:main-bot:chat:${roomId}` });
+    const [, used, max] = result.prependContext.match(/tokens=(\d+)\/(\d+)/).map(Number);
+    assert.equal(max, 500 + i);
+    assert.ok(used <= max, `${agentId}: used ${used} > ${max}`);
+  }
+  cleanRoomData(roomId);
+});
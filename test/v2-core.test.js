@@ -2,7 +2,10 @@ import { describe, test, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import { MessageCache } from "../src/message-cache.js";
 import { TaskBoard } from "../src/task-board.js";
-import { mkdirSync, rmSync, existsSync, writeFileSync } from "fs";
+import { normalizeWorkflow } from "../src/workflow.js";
+import { computeTaskMetrics } from "../src/metrics.js";
+import { estimateTokens } from "../src/tokens.js";
+import { mkdirSync, rmSync, existsSync, readFileSync, writeFileSync } from "fs";
 import { join } from "path";
 import { homedir } from "os";
 
@@ -143,6 +146,159 @@ test("MessageCache: cleanup removes fully-read old messages", () => {
   cleanTestRoom();
 });
 
+test("MessageCache: segmented log reads only the segments after a watermark", () => {
+  cleanTestRoom();
+  const cache = new MessageCache({ segmentSize: 2, compactThreshold: 3, cleanupTtlSeconds: 0 });
+  const now = Date.now();
+  const ids = [];
+  for (let i = 1; i <= 5; i += 1) {
+    ids.push(cache.appendMessage(TEST_ROOM, { sender: "A", content: `消息${i}`, ts: now - (6 - i) * 1000 }).id);
+  }
+  const segmentsDir = join(ROOMS_DIR, TEST_ROOM, "messages");
+  const index = JSON.parse(readFileSync(join(segmentsDir, "index.json"), "utf8"));
+  assert.deepEqual(index.segments.map((s) => s.count), [2, 2, 1]);
+  const firstLine = readFileSync(join(segmentsDir, "000002.jsonl"), "utf8").split("\n")[0];
+  assert.deepEqual(index.ids[ids[3]], { segment: "000002.jsonl", offset: Buffer.byteLength(`${firstLine}\n`) });
+  assert.match(cache.snapshot(TEST_ROOM, []), /messages=5 segments=3/);
+
+  // The first segment is never read once the watermark is past it
+  cache.markAsRead(TEST_ROOM, "builder", ids[2], now - 3000);
+  rmSync(join(segmentsDir, "000001.jsonl"));
+  assert.deepEqual(cache.getUnreadMessages(TEST_ROOM, "builder").map((m) => m.content), ["消息4", "消息5"]);
+  cache.resetWatermarkBefore(TEST_ROOM, "builder", now - 2000);
+  assert.deepEqual(cache.getUnreadMessages(TEST_ROOM, "builder").map((m) => m.content), ["消息4", "消息5"]);
+  assert.equal(cache.hasRecentMessage(TEST_ROOM, "消息5", "", 60_000), true);
+
+  // Fully read segments are dropped, partially read ones rewritten
+  cache.markAsRead(TEST_ROOM, "builder", ids[3], now - 2000);
+  cache.markAsRead(TEST_ROOM, "researcher", ids[3], now - 2000);
+  cache.cleanup(TEST_ROOM, ["builder", "researcher"]);
+  const compacted = JSON.parse(readFileSync(join(segmentsDir, "index.json"), "utf8"));
+  assert.deepEqual(compacted.segments.map((s) => [s.file, s.count]), [["000003.jsonl", 1]]);
+  assert.deepEqual(Object.keys(compacted.ids), [ids[4]]);
+  cache.appendMessage(TEST_ROOM, { sender: "A", content: "消息6", ts: now });
+  assert.deepEqual(cache.readAllMessages(TEST_ROOM).map((m) => m.content), ["消息5", "消息6"]);
+  cleanTestRoom();
+});
+
+test("MessageCache: single-file rooms migrate into segments on first access", () => {
+  cleanTestRoom();
+  const roomDir = join(ROOMS_DIR, TEST_ROOM);
+  mkdirSync(roomDir, { recursive: true });
+  const legacy = [1, 2, 3].map((i) => ({
+    id: `m_legacy_${i}`,
+    ts: 1000 * i,
+    sender: "A",
+    sourceAgent: "",
+    content: `旧消息${i}`,
+    mentions: [],
+    type: "message"
+  }));
+  writeFileSync(join(roomDir, "messages.jsonl"), legacy.map((m) => JSON.stringify(m)).join("\n") + "\n", "utf8");
+  const watermarks = { builder: { lastReadId: "m_legacy_1", lastReadTs: 1000 } };
+  writeFileSync(join(roomDir, "watermarks.json"), JSON.stringify(watermarks), "utf8");
+
+  const cache = new MessageCache({ segmentSize: 2 });
+  assert.deepEqual(cache.getUnreadMessages(TEST_ROOM, "builder").map((m) => m.content), ["旧消息2", "旧消息3"]);
+  assert.equal(existsSync(join(roomDir, "messages.jsonl")), false);
+  assert.equal(existsSync(join(roomDir, "messages.jsonl.migrated")), true);
+  assert.equal(JSON.parse(readFileSync(join(roomDir, "messages", "index.json"), "utf8")).segments.length, 2);
+  cache.appendMessage(TEST_ROOM, { sender: "A", content: "新消息", ts: 4000 });
+  assert.equal(cache.readAllMessages(TEST_ROOM).length, 4);
+  cleanTestRoom();
+});
+
+test("MessageCache: search matches CJK pairs and latin prefixes with filters", () => {
+  cleanTestRoom();
+  const cache = new MessageCache({ segmentSize: 2 });
+  const now = Date.now();
+  const say = (sourceAgent, content, ts, type) => cache.appendMessage(TEST_ROOM, { sender: sourceAgent, sourceAgent, content, ts, type });
+  say("researcher", "登录页改版的竞品调研已完成", now - 3 * 86_400_000);
+  say("researcher", "Deployment 计划：周五上线登录页", now - 3600_000);
+  say("builder", "登录 页面样式修好了", now - 1800_000);
+  say("builder", "[task] T-1 → done", now, "task_update");
+
+  assert.deepEqual(cache.search(TEST_ROOM, "登录页").map((m) => m.ts), [now - 3600_000, now - 3 * 86_400_000]);
+  assert.equal(cache.search(TEST_ROOM, "deploy 上线")[0].content, "Deployment 计划：周五上线登录页");
+  assert.equal(cache.search(TEST_ROOM, "登录", { sender: "builder" }).length, 1);
+  assert.equal(cache.search(TEST_ROOM, "登录页", { since: now - 86_400_000 }).length, 1);
+  assert.equal(cache.search(TEST_ROOM, "done", { type: "task_update" }).length, 1);
+  assert.equal(cache.search(TEST_ROOM, "登录", { limit: 2 }).length, 2);
+  assert.deepEqual(cache.search(TEST_ROOM, "  "), []);
+  cleanTestRoom();
+});
+
+test("MessageCache: queryMessages pages backwards across segments and centres on a message", () => {
+  cleanTestRoom();
+  const cache = new MessageCache({ segmentSize: 2 });
+  const now = Date.now();
+  const ids = [];
+  for (let i = 1; i <= 7; i += 1) {
+    const sourceAgent = i % 2 ? "builder" : "researcher";
+    ids.push(cache.appendMessage(TEST_ROOM, { sender: sourceAgent, sourceAgent, content: `第${i}条`, ts: now - (8 - i) * 1000 }).id);
+  }
+  const contents = (page) => page.messages.map((m) => m.content);
+
+  const first = cache.queryMessages(TEST_ROOM, { limit: 3 });
+  assert.deepEqual(contents(first), ["第5条", "第6条", "第7条"]);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.nextBefore, ids[4]);
+  const second = cache.queryMessages(TEST_ROOM, { limit: 3, beforeId: first.nextBefore });
+  assert.deepEqual(contents(second), ["第2条", "第3条", "第4条"]);
+  const last = cache.queryMessages(TEST_ROOM, { limit: 3, beforeId: second.nextBefore });
+  assert.deepEqual(contents(last), ["第1条"]);
+  assert.equal(last.hasMore, false);
+
+  assert.deepEqual(contents(cache.queryMessages(TEST_ROOM, { sender: "researcher" })), ["第2条", "第4条", "第6条"]);
+  assert.deepEqual(contents(cache.queryMessages(TEST_ROOM, { since: now - 3000, until: now - 2000 })), ["第5条", "第6条"]);
+  const around = cache.queryMessages(TEST_ROOM, { aroundId: ids[3], limit: 5 });
+  assert.deepEqual(contents(around), ["第2条", "第3条", "第4条", "第5条", "第6条"]);
+  assert.equal(around.hasMore, true);
+  assert.equal(cache.queryMessages(TEST_ROOM, { aroundId: "msg:missing" }).notFound, true);
+  cleanTestRoom();
+});
+
+test("MessageCache: rolling summary fills in for skipped and compacted messages", () => {
+  cleanTestRoom();
+  const cache = new MessageCache({ compactThreshold: 3, cleanupTtlSeconds: 0 });
+  const now = Date.now();
+  const msgs = [1, 2, 3, 4].map((i) =>
+    cache.appendMessage(TEST_ROOM, { sender: "A", content: `${i}`.repeat(600), ts: now - (5 - i) * 1000 })
+  );
+  const skippedBatches = [];
+  const onSkip = (messages) => skippedBatches.push(messages.map((m) => m.id));
+
+  const plain = cache.buildContextBlock(TEST_ROOM, "builder", { maxTokens: 260, summary: true, onSkip });
+  assert.match(plain, /unread=4 skipped=3 tokens=/);
+  assert.deepEqual(skippedBatches, [msgs.slice(0, 3).map((m) => m.id)]);
+
+  assert.equal(cache.setSummary(TEST_ROOM, { text: "前两条在讨论排期", count: 2, coveredUntilTs: msgs[1].ts, coveredUntilId: msgs[1].id }), true);
+  assert.equal(cache.setSummary(TEST_ROOM, { text: "更旧的摘要", count: 1, coveredUntilTs: msgs[0].ts }), false);
+  const block = cache.buildContextBlock(TEST_ROOM, "researcher", { maxTokens: 260, summary: true, onSkip });
+  assert.ok(Number(block.match(/tokens=(\d+)\/260/)[1]) <= 260);
+  assert.match(block, /unread=4 skipped=3 summarized=2 tokens=\d+\/260 summary=\d+ messages=156 wrapper=\d+\]\n\[summary of 2 earlier messages, until \d{2}:\d{2}\] 前两条在讨论排期\n/);
+  assert.deepEqual(skippedBatches[1], [msgs[2].id]);
+
+  // Compaction hands over only what the summary does not cover
+  cache.markAsRead(TEST_ROOM, "builder", msgs[3].id, msgs[3].ts);
+  cache.markAsRead(TEST_ROOM, "researcher", msgs[3].id, msgs[3].ts);
+  let compacted = [];
+  cache.cleanup(TEST_ROOM, ["builder", "researcher"], { onCompact: (messages) => (compacted = messages) });
+  assert.deepEqual(compacted.map((m) => m.id), msgs.slice(2).map((m) => m.id));
+  assert.equal(cache.readAllMessages(TEST_ROOM).length, 0);
+  cleanTestRoom();
+});
+
+test("estimateTokens counts CJK per character and latin words per four characters", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("hello world"), 4);
+  assert.equal(estimateTokens("登录页改版"), 5);
+  assert.equal(estimateTokens("修复 login bug，明天上线!"), 11);
+  assert.equal(estimateTokens("👍 ok"), 2);
+  // The same length costs far more in Chinese than in English
+  assert.ok(estimateTokens("支付".repeat(20)) > 3 * estimateTokens("payment".repeat(6)));
+});
+
 // ─── TaskBoard v3 tests (slots mode) ───
 
 test("TaskBoard v3: create task initializes slots for creator", () => {
@@ -355,3 +511,588 @@ test("TaskBoard v3: legacy task migration (no slots)", () => {
   assert.ok(task.globalHistory, "migrated task should have globalHistory");
   cleanTestRoom();
 });
+
+// ─── TaskBoard dependencies ───
+
+test("TaskBoard deps: dependent task waits until dependency closes", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+
+  board.createTask(TEST_ROOM, { taskId: "T-1", summary: "调研", createdBy: "main" });
+  const created = board.createTask(TEST_ROOM, {
+    taskId: "T-2",
+    summary: "实现",
+    createdBy: "main",
+    dependsOn: "T-1"
+  });
+  assert.equal(created.ok, true);
+  assert.deepEqual(created.task.dependsOn, ["T-1"]);
+  assert.equal(created.task.status, "waiting");
+
+  // builder finishes early, but T-2 stays open while T-1 is open
+  const early = board.updateTask(TEST_ROOM, { taskId: "T-2", status: "done", actor: "builder", note: "" });
+  assert.equal(early.closed, false);
+  assert.equal(early.task.status, "waiting");
+
+  const closed = board.updateTask(TEST_ROOM, { taskId: "T-1", status: "done", actor: "researcher", note: "" });
+  assert.equal(closed.closed, true);
+  assert.equal(closed.released.length, 1);
+  assert.equal(closed.released[0].taskId, "T-2");
+  assert.equal(closed.released[0].status, "done");
+  assert.equal(board.listActiveTasks(TEST_ROOM).length, 0);
+  cleanTestRoom();
+});
+
+test("TaskBoard deps: rejects cycles and unknown dependencies", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+
+  board.createTask(TEST_ROOM, { taskId: "T-1", summary: "a", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "T-2", summary: "b", createdBy: "main", dependsOn: ["T-1"] });
+
+  const unknown = board.createTask(TEST_ROOM, { taskId: "T-3", summary: "c", createdBy: "main", dependsOn: ["T-404"] });
+  assert.equal(unknown.ok, false);
+  assert.equal(unknown.reason, "dependency_not_found");
+
+  const self = board.createTask(TEST_ROOM, { taskId: "T-3", summary: "c", createdBy: "main", dependsOn: ["T-3"] });
+  assert.equal(self.reason, "dependency_cycle");
+
+  const cycle = board.updateTask(TEST_ROOM, { taskId: "T-1", status: "ack", actor: "researcher", dependsOn: "T-2" });
+  assert.equal(cycle.ok, false);
+  assert.equal(cycle.reason, "dependency_cycle");
+  assert.deepEqual(cycle.cycle, ["T-1", "T-2", "T-1"]);
+  cleanTestRoom();
+});
+
+test("TaskBoard deps: buildBoardContext shows the dependency chain", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+
+  board.createTask(TEST_ROOM, { taskId: "T-1", summary: "调研", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "T-2", summary: "设计", createdBy: "main", dependsOn: "T-1" });
+  board.createTask(TEST_ROOM, { taskId: "T-3", summary: "实现", createdBy: "main", dependsOn: "T-2" });
+
+  const ctx = board.buildBoardContext(TEST_ROOM, "builder");
+  assert.ok(ctx.includes("waiting on: T-2 [waiting] ← T-1 [create]"));
+  cleanTestRoom();
+});
+
+// ─── TaskBoard subtasks ───
+
+test("TaskBoard subtasks: parent status rolls up from children", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+
+  board.createTask(TEST_ROOM, { taskId: "P-1", summary: "发布", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "P-1.a", summary: "实现", createdBy: "main", parentId: "P-1" });
+  board.createTask(TEST_ROOM, { taskId: "P-1.b", summary: "调研", createdBy: "main", parentId: "P-1" });
+
+  let parent = board.getTask(TEST_ROOM, "P-1");
+  assert.deepEqual(parent.children, ["P-1.a", "P-1.b"]);
+  assert.equal(parent.status, "create");
+
+  board.updateTask(TEST_ROOM, { taskId: "P-1.a", status: "in_progress", actor: "builder", note: "" });
+  parent = board.getTask(TEST_ROOM, "P-1");
+  assert.equal(parent.status, "in_progress");
+
+  // a finished child stays on the board until its parent closes
+  const childDone = board.updateTask(TEST_ROOM, { taskId: "P-1.b", status: "done", actor: "researcher", note: "" });
+  assert.equal(childDone.closed, true);
+  assert.equal(childDone.archived, false);
+  assert.ok(board.getTask(TEST_ROOM, "P-1.b"));
+
+  const lastChild = board.updateTask(TEST_ROOM, { taskId: "P-1.a", status: "done", actor: "builder", note: "" });
+  assert.equal(lastChild.archived, true);
+  assert.ok(lastChild.released.some((t) => t.taskId === "P-1" && t.status === "done"));
+  assert.equal(board.listActiveTasks(TEST_ROOM).length, 0);
+  assert.match(board.snapshot(TEST_ROOM), /closed=3/);
+  cleanTestRoom();
+});
+
+test("TaskBoard subtasks: unknown parent rejected and snapshot renders tree", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+
+  const orphan = board.createTask(TEST_ROOM, { taskId: "C-1", summary: "x", createdBy: "main", parentId: "NOPE" });
+  assert.equal(orphan.ok, false);
+  assert.equal(orphan.reason, "parent_not_found");
+
+  board.createTask(TEST_ROOM, { taskId: "P-1", summary: "根任务", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "P-1.a", summary: "子任务", createdBy: "main", parentId: "P-1" });
+  board.createTask(TEST_ROOM, { taskId: "P-1.a.i", summary: "孙任务", createdBy: "main", parentId: "P-1.a" });
+
+  const lines = board.snapshot(TEST_ROOM).split("\n");
+  assert.match(lines[1], /^  P-1 /);
+  assert.match(lines[2], /^    └ P-1\.a /);
+  assert.match(lines[3], /^      └ P-1\.a\.i /);
+  cleanTestRoom();
+});
+
+// ─── Legacy single-active-task migration ───
+
+test("TaskBoard SLA: overdue tasks and stale slots respect reminder cooldown", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  const now = Date.now();
+  board.createTask(TEST_ROOM, { taskId: "S-1", summary: "限时任务", createdBy: "main", dueAt: now + 60_000 });
+  board.updateTask(TEST_ROOM, { taskId: "S-1", status: "in_progress", actor: "builder", note: "开始" });
+  board.createTask(TEST_ROOM, { taskId: "S-2", summary: "无截止", createdBy: "main" });
+
+  assert.equal(board.findSlaViolations(TEST_ROOM, { now, staleMs: 3_600_000 }).length, 0);
+
+  const later = now + 2 * 3_600_000;
+  const findings = board.findSlaViolations(TEST_ROOM, { now: later, staleMs: 3_600_000, cooldownMs: 600_000 });
+  assert.deepEqual(findings.map((f) => `${f.taskId}:${f.key}`).sort(), ["S-1:overdue", "S-1:stale:builder"]);
+  assert.match(board.buildBoardContext(TEST_ROOM, "builder", { now: later, staleMs: 3_600_000 }), /⏰ overdue/);
+  assert.match(board.snapshot(TEST_ROOM, { now: later, staleMs: 3_600_000 }), /builder:in_progress\(1轮\) ⚠️ stale 2h/);
+
+  board.markReminded(TEST_ROOM, findings, later);
+  assert.equal(board.findSlaViolations(TEST_ROOM, { now: later + 60_000, staleMs: 3_600_000, cooldownMs: 600_000 }).length, 0);
+  assert.equal(board.findSlaViolations(TEST_ROOM, { now: later + 700_000, staleMs: 3_600_000, cooldownMs: 600_000 }).length, 2);
+  cleanTestRoom();
+});
+
+test("TaskBoard assign: task stays open until every assigned slot is terminal", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  const created = board.createTask(TEST_ROOM, {
+    taskId: "A-1",
+    summary: "联调",
+    createdBy: "main",
+    assignees: ["builder", "researcher"]
+  });
+  assert.equal(created.task.status, "create");
+  assert.equal(created.task.slots.builder.status, "pending");
+  assert.equal(created.task.slots.researcher.rounds, 0);
+
+  const first = board.updateTask(TEST_ROOM, { taskId: "A-1", status: "done", actor: "researcher" });
+  assert.equal(first.closed, false);
+  assert.equal(first.task.status, "create");
+
+  const context = board.buildBoardContext(TEST_ROOM, "builder");
+  assert.match(context, /A-1 \[create\] "联调" 📌 指派给你/);
+  assert.match(context, /👉 builder: pending \(0轮\)/);
+  assert.doesNotMatch(board.buildBoardContext(TEST_ROOM, "main"), /📌/);
+
+  const last = board.updateTask(TEST_ROOM, { taskId: "A-1", status: "done", actor: "builder" });
+  assert.equal(last.closed, true);
+  assert.equal(last.archived, true);
+  cleanTestRoom();
+});
+
+test("TaskBoard workflow: custom statuses derive, close and reject illegal transitions", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  board.setWorkflow(TEST_ROOM, normalizeWorkflow({
+    statuses: ["draft", "reviewed", "published"],
+    transitions: { draft: ["reviewed"], reviewed: ["published", "draft"] },
+    terminal: ["published"]
+  }));
+
+  const created = board.createTask(TEST_ROOM, { taskId: "W-1", summary: "周报", createdBy: "main" });
+  assert.equal(created.task.status, "draft");
+
+  const skipped = board.updateTask(TEST_ROOM, { taskId: "W-1", status: "published", actor: "researcher" });
+  assert.equal(skipped.ok, false);
+  assert.equal(skipped.reason, "illegal_transition");
+  assert.deepEqual(skipped.allowed, ["reviewed"]);
+
+  const unknown = board.updateTask(TEST_ROOM, { taskId: "W-1", status: "done", actor: "researcher" });
+  assert.equal(unknown.reason, "unknown_status");
+
+  const reviewed = board.updateTask(TEST_ROOM, { taskId: "W-1", status: "reviewed", actor: "researcher" });
+  assert.equal(reviewed.task.status, "reviewed");
+  const published = board.updateTask(TEST_ROOM, { taskId: "W-1", status: "published", actor: "researcher" });
+  assert.equal(published.closed, true);
+  assert.equal(published.task.status, "published");
+  cleanTestRoom();
+});
+
+test("TaskBoard review: done waits for the reviewer, rework reopens slots", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  board.setReviewPolicy(TEST_ROOM, { enabled: true, reviewerAgentId: "main" });
+  board.createTask(TEST_ROOM, { taskId: "RV-1", summary: "登录页", createdBy: "main" });
+
+  const done = board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "done", actor: "builder", note: "完成" });
+  assert.equal(done.closed, false);
+  assert.equal(done.task.status, "awaiting_review");
+  assert.equal(done.reviewRequested, true);
+  assert.match(board.buildBoardContext(TEST_ROOM, "main"), /🔍 待你审核/);
+
+  const notReviewer = board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "review_ok", actor: "builder" });
+  assert.equal(notReviewer.reason, "not_reviewer");
+
+  const rework = board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "rework", actor: "main", note: "补充错误提示" });
+  assert.equal(rework.task.status, "rework");
+  assert.equal(rework.task.slots.builder.status, "rework");
+  assert.equal(rework.task.slots.builder.reworkCount, 1);
+  assert.equal(rework.task.slots.main, undefined);
+  assert.match(board.snapshot(TEST_ROOM), /builder:rework\(1轮\) ↺返工1次/);
+
+  const early = board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "review_ok", actor: "main" });
+  assert.equal(early.reason, "not_awaiting_review");
+
+  board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "done", actor: "builder", note: "已补充" });
+  const approved = board.updateTask(TEST_ROOM, { taskId: "RV-1", status: "review_ok", actor: "main", note: "通过" });
+  assert.equal(approved.closed, true);
+  assert.equal(approved.archived, true);
+  assert.equal(approved.task.status, "review_ok");
+  cleanTestRoom();
+});
+
+test("TaskBoard priority: board sorts by priority then age and caps low-priority tasks", () => {
+  cleanTestRoom();
+  const board = new TaskBoard({ maxActiveTasks: 20 });
+  board.createTask(TEST_ROOM, { taskId: "L-1", summary: "整理文档", createdBy: "main", priority: "p3" });
+  board.createTask(TEST_ROOM, { taskId: "N-1", summary: "常规任务", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "L-2", summary: "清理日志", createdBy: "main", priority: "3" });
+  board.createTask(TEST_ROOM, { taskId: "U-1", summary: "线上故障", createdBy: "main", priority: "P0" });
+  board.createTask(TEST_ROOM, { taskId: "L-3", summary: "升级依赖", createdBy: "main", priority: "p3" });
+  board.updateTask(TEST_ROOM, { taskId: "L-3", status: "ack", actor: "builder", note: "" });
+
+  assert.deepEqual(board.listActiveTasks(TEST_ROOM).map((t) => t.taskId), ["U-1", "N-1", "L-1", "L-2", "L-3"]);
+  assert.match(board.snapshot(TEST_ROOM), /U-1 \[create\] p0 "线上故障"/);
+  assert.match(board.snapshot(TEST_ROOM), /N-1 \[create\] "常规任务"/);
+
+  const capped = board.buildBoardContext(TEST_ROOM, "builder", { lowPriority: "p3", maxLowPriority: 1 });
+  assert.match(capped, /L-1/);
+  assert.doesNotMatch(capped, /L-2/);
+  assert.match(capped, /L-3/); // builder works on it
+  assert.match(capped, /另有 1 个低优先级任务未展示/);
+  assert.match(board.buildBoardContext(TEST_ROOM, "builder"), /L-2/);
+
+  const bumped = board.updateTask(TEST_ROOM, { taskId: "L-2", status: "ack", actor: "main", priority: "p1" });
+  assert.equal(bumped.task.priority, "p1");
+  assert.equal(board.listActiveTasks(TEST_ROOM)[1].taskId, "L-2");
+  cleanTestRoom();
+});
+
+test("TaskBoard labels: interests filter the injected board, snapshot filters by label", () => {
+  cleanTestRoom();
+  const board = new TaskBoard({ maxActiveTasks: 20 });
+  board.createTask(TEST_ROOM, { taskId: "FE-1", summary: "登录页", createdBy: "main", labels: "frontend,#UI" });
+  board.createTask(TEST_ROOM, { taskId: "BE-1", summary: "接口限流", createdBy: "main", labels: ["backend"] });
+  board.createTask(TEST_ROOM, { taskId: "BE-2", summary: "迁移脚本", createdBy: "main", labels: "backend" });
+  board.createTask(TEST_ROOM, { taskId: "GEN-1", summary: "周会纪要", createdBy: "main" });
+  board.updateTask(TEST_ROOM, { taskId: "BE-2", status: "ack", actor: "designer", note: "" });
+
+  assert.deepEqual(board.listActiveTasks(TEST_ROOM).find((t) => t.taskId === "FE-1").labels, ["frontend", "ui"]);
+  const context = board.buildBoardContext(TEST_ROOM, "designer", { labels: ["ui"] });
+  assert.match(context, /FE-1 \[create\] "登录页" #frontend #ui/);
+  assert.match(context, /GEN-1/); // unlabelled tasks stay visible
+  assert.match(context, /BE-2/); // designer works on it
+  assert.doesNotMatch(context, /BE-1/);
+  assert.match(context, /按关注标签 ui 过滤，隐藏 1 个任务/);
+  assert.match(board.buildBoardContext(TEST_ROOM, "designer"), /BE-1/);
+
+  const snapshot = board.snapshot(TEST_ROOM, { labels: "backend" });
+  assert.match(snapshot, /active=2 closed=0 label=backend/);
+  assert.doesNotMatch(snapshot, /FE-1|GEN-1/);
+
+  const relabelled = board.updateTask(TEST_ROOM, { taskId: "BE-1", status: "ack", actor: "main", labels: "infra" });
+  assert.deepEqual(relabelled.task.labels, ["infra"]);
+  assert.match(board.snapshot(TEST_ROOM, { labels: "infra" }), /BE-1/);
+  cleanTestRoom();
+});
+
+test("TaskBoard templates: instantiate parent and subtasks with due offsets", () => {
+  cleanTestRoom();
+  const board = new TaskBoard({ maxActiveTasks: 5 });
+  const template = {
+    name: "release-check",
+    summary: "发布检查",
+    assignees: [],
+    labels: ["release"],
+    priority: "p1",
+    dueMs: 86_400_000,
+    subtasks: [
+      { key: "build", summary: "构建与测试", assignees: ["builder"], labels: ["ci"], priority: "", dueMs: 3_600_000 },
+      { key: "2", summary: "发布说明", assignees: ["researcher"], labels: [], priority: "p2", dueMs: 0 }
+    ]
+  };
+  const now = Date.now();
+  const result = board.createFromTemplate(TEST_ROOM, template, { taskId: "REL-1", createdBy: "main", now });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.task.children, ["REL-1.build", "REL-1.2"]);
+  assert.equal(result.task.dueAt, now + 86_400_000);
+  const [build, notes] = result.children;
+  assert.equal(build.parentId, "REL-1");
+  assert.equal(build.priority, "p1");
+  assert.deepEqual(build.labels, ["release", "ci"]);
+  assert.equal(build.dueAt, now + 3_600_000);
+  assert.equal(build.slots.builder.status, "pending");
+  assert.equal(notes.priority, "p2");
+  assert.equal(notes.dueAt, 0);
+
+  const duplicate = board.createFromTemplate(TEST_ROOM, template, { taskId: "REL-1", createdBy: "main", now });
+  assert.equal(duplicate.reason, "already_exists");
+  const full = board.createFromTemplate(TEST_ROOM, template, { taskId: "REL-2", createdBy: "main", now });
+  assert.equal(full.reason, "max_active_reached");
+  assert.equal(board.getTask(TEST_ROOM, "REL-2"), null);
+  cleanTestRoom();
+});
+
+test("TaskBoard WIP: per-agent limit rejects new work and workload sums slots", () => {
+  cleanTestRoom();
+  const board = new TaskBoard({ maxActiveTasks: 20 });
+  board.setWipPolicy(TEST_ROOM, { maxPerAgent: 2, agents: { researcher: 0 }, statuses: ["ack", "in_progress"], errors: [] });
+  for (const id of ["W-1", "W-2", "W-3", "W-4"]) {
+    board.createTask(TEST_ROOM, { taskId: id, summary: id, createdBy: "main" });
+  }
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-1", status: "ack", actor: "builder" }).ok, true);
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-2", status: "in_progress", actor: "builder" }).ok, true);
+  const rejected = board.updateTask(TEST_ROOM, { taskId: "W-3", status: "ack", actor: "builder" });
+  assert.equal(rejected.reason, "wip_limit");
+  assert.deepEqual(rejected.tasks, ["W-1", "W-2"]);
+  assert.equal(board.getTask(TEST_ROOM, "W-3").slots.builder, undefined);
+  // Moving within WIP statuses and blocking are still allowed
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-1", status: "in_progress", actor: "builder" }).ok, true);
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-3", status: "blocked", actor: "builder" }).ok, true);
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-4", status: "ack", actor: "researcher" }).ok, true);
+
+  board.updateTask(TEST_ROOM, { taskId: "W-2", status: "done", actor: "builder" });
+  assert.equal(board.updateTask(TEST_ROOM, { taskId: "W-4", status: "ack", actor: "builder" }).ok, true);
+
+  const [builder, researcher] = board.agentWorkload(TEST_ROOM, ["builder", "researcher"]);
+  assert.deepEqual(builder.open, ["W-1", "W-3", "W-4"]);
+  assert.deepEqual(builder.blocked, ["W-3"]);
+  assert.equal(builder.wip, 2);
+  assert.equal(builder.limit, 2);
+  assert.equal(builder.done, 1);
+  assert.ok(builder.avgCompletionMs >= 0);
+  assert.equal(researcher.limit, 0);
+  assert.equal(researcher.done, 0);
+  cleanTestRoom();
+});
+
+test("TaskBoard claim: exclusive lease, renewed by progress, released when it expires", () => {
+  cleanTestRoom();
+  const board = new TaskBoard({ maxActiveTasks: 20 });
+  board.createTask(TEST_ROOM, { taskId: "C-1", summary: "排查告警", createdBy: "main" });
+  const now = Date.now();
+  const claimed = board.claimTask(TEST_ROOM, { taskId: "C-1", actor: "builder", leaseMs: 60_000, now });
+  assert.equal(claimed.ok, true);
+  assert.equal(claimed.task.lease.agent, "builder");
+  assert.equal(claimed.task.slots.builder.status, "pending");
+
+  const second = board.claimTask(TEST_ROOM, { taskId: "C-1", actor: "researcher", leaseMs: 60_000, now });
+  assert.equal(second.reason, "already_claimed");
+  assert.equal(second.holder, "builder");
+  const blocked = board.updateTask(TEST_ROOM, { taskId: "C-1", status: "ack", actor: "researcher" });
+  assert.equal(blocked.reason, "claimed_by_other");
+  assert.match(board.snapshot(TEST_ROOM), /🔒 builder 认领至/);
+
+  const progress = board.updateTask(TEST_ROOM, { taskId: "C-1", status: "in_progress", actor: "builder" });
+  assert.ok(progress.task.lease.expiresAt > now + 60_000 - 1);
+  assert.deepEqual(board.releaseExpiredLeases(TEST_ROOM, now + 30_000), []);
+
+  const released = board.releaseExpiredLeases(TEST_ROOM, progress.task.lease.expiresAt + 1);
+  assert.deepEqual(released.map((r) => [r.taskId, r.agent]), [["C-1", "builder"]]);
+  const task = board.getTask(TEST_ROOM, "C-1");
+  assert.equal(task.lease, null);
+  assert.equal(task.slots.builder, undefined);
+  assert.equal(task.status, "create");
+  assert.equal(board.claimTask(TEST_ROOM, { taskId: "C-1", actor: "researcher", leaseMs: 60_000 }).ok, true);
+  cleanTestRoom();
+});
+
+test("TaskBoard move: task tree moves to another room and leaves tombstones", () => {
+  const targetRoom = `${TEST_ROOM}_target`;
+  const cleanTarget = () => rmSync(join(ROOMS_DIR, targetRoom), { recursive: true, force: true });
+  cleanTestRoom();
+  cleanTarget();
+  const board = new TaskBoard({ maxActiveTasks: 20 });
+  board.createTask(TEST_ROOM, { taskId: "M-1", summary: "调研结论落地", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "M-1.a", summary: "接口设计", createdBy: "main", parentId: "M-1" });
+  board.createTask(TEST_ROOM, { taskId: "M-2", summary: "上线", createdBy: "main", dependsOn: ["M-1"] });
+  board.updateTask(TEST_ROOM, { taskId: "M-1.a", status: "in_progress", actor: "researcher", note: "草稿完成" });
+
+  assert.equal(board.moveTask(TEST_ROOM, targetRoom, { taskId: "M-1", actor: "main" }).reason, "has_dependents");
+  assert.equal(board.moveTask(TEST_ROOM, targetRoom, { taskId: "M-1.a", actor: "main" }).reason, "is_subtask");
+  board.updateTask(TEST_ROOM, { taskId: "M-2", status: "ack", actor: "main", dependsOn: [] });
+
+  const moved = board.moveTask(TEST_ROOM, targetRoom, { taskId: "M-1", actor: "researcher", note: "转给开发群" });
+  assert.equal(moved.ok, true);
+  assert.deepEqual(moved.subtasks.map((t) => t.taskId), ["M-1.a"]);
+  assert.equal(board.getTask(TEST_ROOM, "M-1"), null);
+  const child = board.getTask(targetRoom, "M-1.a");
+  assert.equal(child.slots.researcher.lastNote, "草稿完成");
+  assert.equal(child.movedFrom.roomId, TEST_ROOM);
+  assert.equal(board.getTask(targetRoom, "M-1").status, "in_progress");
+
+  const tombstone = board.findTask(TEST_ROOM, "M-1");
+  assert.equal(tombstone.archived, true);
+  assert.equal(tombstone.task.status, "moved");
+  assert.equal(tombstone.task.movedTo, targetRoom);
+  assert.equal(board.findTask(TEST_ROOM, "M-1.a").task.movedTo, targetRoom);
+  assert.doesNotMatch(board.snapshot(TEST_ROOM), /M-1 \[/);
+  cleanTestRoom();
+  cleanTarget();
+});
+
+test("TaskBoard reopen: archived task tree returns to the board with its slots", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  board.createTask(TEST_ROOM, { taskId: "R-1", summary: "修复登录", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "R-1.a", summary: "补测试", createdBy: "main", parentId: "R-1" });
+  board.updateTask(TEST_ROOM, { taskId: "R-1", status: "in_progress", actor: "builder", note: "修复中" });
+  board.updateTask(TEST_ROOM, { taskId: "R-1.a", status: "done", actor: "researcher", note: "测试已补" });
+  board.updateTask(TEST_ROOM, { taskId: "R-1", status: "done", actor: "builder", note: "误报完成" });
+  assert.equal(board.getTask(TEST_ROOM, "R-1"), null);
+
+  assert.equal(board.reopenTask(TEST_ROOM, { taskId: "R-1.a", actor: "main" }).reason, "is_subtask");
+  assert.equal(board.reopenTask(TEST_ROOM, { taskId: "R-9", actor: "main" }).reason, "not_found");
+  const result = board.reopenTask(TEST_ROOM, { taskId: "R-1", actor: "main", note: "还没上线" });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.tasks.map((t) => t.taskId), ["R-1.a", "R-1"]);
+
+  const task = board.getTask(TEST_ROOM, "R-1");
+  assert.equal(task.status, "in_progress");
+  assert.equal(task.closedAt, 0);
+  assert.equal(task.slots.builder.status, "in_progress");
+  assert.equal(task.slots.builder.rounds, 2);
+  assert.deepEqual(task.slots.builder.history.map((h) => h.status), ["in_progress", "done", "in_progress"]);
+  assert.deepEqual(task.reopened.map((r) => [r.by, r.note]), [["main", "还没上线"]]);
+  assert.equal(task.globalHistory.at(-1).status, "reopen");
+  // Finished subtasks stay finished; the archive no longer lists the tree
+  assert.equal(board.getTask(TEST_ROOM, "R-1.a").status, "done");
+  assert.equal(board.listHistory(TEST_ROOM).length, 0);
+  assert.equal(board.reopenTask(TEST_ROOM, { taskId: "R-1", actor: "main" }).reason, "already_active");
+
+  board.updateTask(TEST_ROOM, { taskId: "R-1", status: "done", actor: "builder", note: "已上线" });
+  assert.equal(board.findTask(TEST_ROOM, "R-1").task.reopened.length, 1);
+  assert.equal(board.listHistory(TEST_ROOM).length, 2);
+  cleanTestRoom();
+});
+
+test("TaskBoard reopen: refuses when an archived child id is live again", () => {
+  cleanTestRoom();
+  const board = new TaskBoard();
+  board.createTask(TEST_ROOM, { taskId: "R-2", summary: "修复登录", createdBy: "main" });
+  board.createTask(TEST_ROOM, { taskId: "R-2.a", summary: "补测试", createdBy: "main", parentId: "R-2" });
+  board.updateTask(TEST_ROOM, { taskId: "R-2.a", status: "done", actor: "researcher" });
+  board.updateTask(TEST_ROOM, { taskId: "R-2", status: "done", actor: "builder" });
+  assert.equal(board.getTask(TEST_ROOM, "R-2.a"), null);
+
+  board.createTask(TEST_ROOM, { taskId: "R-2.a", summary: "新的任务", createdBy: "main" });
+  board.updateTask(TEST_ROOM, { taskId: "R-2.a", status: "in_progress", actor: "builder" });
+  const result = board.reopenTask(TEST_ROOM, { taskId: "R-2", actor: "main" });
+  assert.deepEqual([result.ok, result.reason, result.taskId], [false, "already_active", "R-2.a"]);
+  const live = board.getTask(TEST_ROOM, "R-2.a");
+  assert.equal(live.summary, "新的任务");
+  assert.equal(live.slots.builder.status, "in_progress");
+  assert.equal(board.getTask(TEST_ROOM, "R-2"), null);
+  cleanTestRoom();
+});
+
+test("Task metrics: lead time, blocked time, rework rounds and throughput", () => {
+  const h = 3_600_000;
+  const now = 10 * 86_400_000;
+  const since = now - 2 * 86_400_000;
+  const records = {
+    active: [
+      {
+        taskId: "M-2",
+        status: "blocked",
+        createdAt: now - 5 * h,
+        closedAt: 0,
+        slots: {
+          builder: {
+            status: "blocked",
+            lastAt: now - 2 * h,
+            history: [
+              { status: "ack", at: now - 4 * h },
+              { status: "blocked", at: now - 2 * h }
+            ]
+          }
+        }
+      }
+    ],
+    archived: [
+      {
+        taskId: "M-1",
+        status: "review_ok",
+        createdAt: now - 10 * h,
+        closedAt: now - 4 * h,
+        slots: {
+          builder: {
+            status: "done",
+            lastAt: now - 5 * h,
+            history: [
+              { status: "ack", at: now - 9 * h },
+              { status: "done", at: now - 8 * h },
+              { status: "rework", at: now - 7 * h },
+              { status: "done", at: now - 5 * h }
+            ]
+          }
+        }
+      },
+      { taskId: "M-3", status: "moved", movedTo: "oc_other", createdAt: now - 3 * h, closedAt: now - h, slots: {} }
+    ]
+  };
+
+  const metrics = computeTaskMetrics(records, { since, now, agentIds: ["builder", "researcher"] });
+  assert.equal(metrics.days, 2);
+  assert.equal(metrics.room.closed, 1);
+  assert.equal(metrics.room.avgLeadTimeMs, 6 * h);
+  assert.equal(metrics.room.throughputPerDay, 0.5);
+  assert.equal(metrics.room.blockedMs, 2 * h);
+  assert.equal(metrics.room.reworkRounds, 1);
+  const builder = metrics.agents.find((a) => a.agentId === "builder");
+  assert.equal(builder.closed, 1);
+  assert.equal(builder.avgLeadTimeMs, 4 * h);
+  assert.equal(builder.blockedMs, 2 * h);
+  assert.deepEqual(metrics.agents.find((a) => a.agentId === "researcher"), {
+    agentId: "researcher",
+    closed: 0,
+    blockedMs: 0,
+    reworkRounds: 0,
+    avgLeadTimeMs: 0,
+    throughputPerDay: 0
+  });
+});
+
+test("TaskBoard: migrates legacy active task and history once", () => {
+  cleanTestRoom();
+  const legacyDir = join(homedir(), ".openclaw", "plugin-data", "agent-teamchat", "tasks", TEST_ROOM);
+  rmSync(legacyDir, { recursive: true, force: true });
+  mkdirSync(join(legacyDir, "history"), { recursive: true });
+  const now = Date.now();
+  writeFileSync(join(legacyDir, "active.json"), JSON.stringify({
+    taskId: "OLD-2",
+    status: "in_progress",
+    owner: "builder",
+    lastActor: "builder",
+    lastNote: "实现中",
+    createdAt: now - 5000,
+    updatedAt: now,
+    closedAt: 0,
+    history: [{ status: "create", actor: "main", note: "旧任务", at: now - 5000 }]
+  }), "utf8");
+  writeFileSync(join(legacyDir, "history", "2026-01-01T00-00-00-000Z-OLD-1.json"), JSON.stringify({
+    taskId: "OLD-1",
+    status: "done",
+    owner: "researcher",
+    createdAt: now - 90000,
+    updatedAt: now - 80000,
+    closedAt: now - 80000,
+    history: [{ status: "done", actor: "researcher", note: "完成", at: now - 80000 }]
+  }), "utf8");
+
+  const board = new TaskBoard();
+  const result = board.migrateLegacyTasks(TEST_ROOM);
+  assert.equal(result.active, 1);
+  assert.equal(result.archived, 1);
+
+  const task = board.getTask(TEST_ROOM, "OLD-2");
+  assert.equal(task.status, "in_progress");
+  assert.equal(task.slots.builder.status, "in_progress");
+  assert.equal(task.summary, "旧任务");
+  assert.match(board.snapshot(TEST_ROOM), /closed=1/);
+
+  // second run is a no-op
+  assert.equal(board.migrateLegacyTasks(TEST_ROOM).migrated, 0);
+  rmSync(legacyDir, { recursive: true, force: true });
+  cleanTestRoom();
+});